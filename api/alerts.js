@@ -0,0 +1,108 @@
+// ══════════════════════════════════════════════════
+// api/alerts.js
+// Alert subscriptions and their delivery log.
+// Rules, evaluation and webhook signing: lib/alerts.js.
+//
+// POST   subscribe — returns the signing secret, once
+//   { "owner": "<token>", "webhookUrl": "https://…",
+//     "kind": "lane", "vesselType": "SUPRAMAX",
+//     "originRegion": "US GULF", "destinationRegion": "CHINA",
+//     "rule": "move", "threshold": 10, "days": 7 }
+//   { "owner": "<token>", "webhookUrl": "https://…",
+//     "kind": "bunker", "hub": "Singapore", "grade": "vlsfo",
+//     "rule": "above", "threshold": 650 }
+// GET    ?owner=<token>          → subscriptions and
+//                                  their recent deliveries
+// DELETE ?owner=<token>&id=<id>  → deactivate
+//
+// The owner token works like the fixture submitter
+// token: whoever holds it manages its subscriptions.
+// ══════════════════════════════════════════════════
+
+const crypto = require('crypto');
+const { validateSubscription, checkWebhookHost } = require('../lib/alerts');
+const { openStore } = require('../lib/storage');
+
+const MIN_TOKEN_LENGTH = 8;
+const MAX_SUBSCRIPTIONS = 50;   // per owner
+const DELIVERY_LOG_ROWS = 100;
+
+// Columns safe to hand back — never the secret
+const PUBLIC_COLUMNS = 'id,created_at,webhook_url,kind,vessel_type,origin_region,destination_region,hub,grade,rule,threshold,days,active,last_state';
+const publicView = row => Object.fromEntries(PUBLIC_COLUMNS.split(',').map(c => [c, row[c] ?? null]));
+
+module.exports = async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) return res.status(405).json({ error: 'Method not allowed' });
+
+  const params = new URL(req.url, 'https://x.com').searchParams;
+  let body = req.body || {};
+  if (typeof body === 'string') {
+    try { body = JSON.parse(body); }
+    catch (e) { return res.status(400).json({ success: false, error: 'Body must be JSON' }); }
+  }
+
+  const owner = String((req.method === 'POST' ? body.owner : params.get('owner')) || '').trim();
+  if (owner.length < MIN_TOKEN_LENGTH) {
+    return res.status(400).json({ success: false, error: 'owner token is required' });
+  }
+  const ownerFilter = ['owner_token', 'eq', owner];
+
+  try {
+    const store = openStore('write');
+
+    if (req.method === 'GET') {
+      const subs = await store.select('alert_subscriptions', {
+        select: PUBLIC_COLUMNS, where: [ownerFilter], order: [['created_at', 'desc']],
+      });
+      const deliveries = subs.length
+        ? await store.select('alert_deliveries', {
+            select: 'id,subscription_id,created_at,event,status,attempts,last_attempt_at,response_status,error',
+            where:  [['subscription_id', 'in', subs.map(s => s.id)]],
+            order:  [['created_at', 'desc']],
+            limit:  DELIVERY_LOG_ROWS,
+          })
+        : [];
+      return res.json({ success: true, subscriptions: subs, deliveries });
+    }
+
+    if (req.method === 'DELETE') {
+      const id = params.get('id');
+      if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+      const updated = await store.update('alert_subscriptions', [['id', 'eq', id], ownerFilter], { active: false });
+      if (!updated.length) return res.status(404).json({ success: false, error: 'No such subscription' });
+      return res.json({ success: true, id, active: false });
+    }
+
+    // POST — subscribe
+    const { sub, error } = validateSubscription(body);
+    if (error) return res.status(422).json({ success: false, error });
+    const host = await checkWebhookHost(sub.webhook_url);
+    if (host.error) return res.status(422).json({ success: false, error: host.error });
+
+    const existing = await store.select('alert_subscriptions', { select: 'id', where: [ownerFilter, ['active', 'eq', true]] });
+    if (existing.length >= MAX_SUBSCRIPTIONS) {
+      return res.status(429).json({ success: false, error: `At most ${MAX_SUBSCRIPTIONS} active subscriptions per owner` });
+    }
+
+    const secret = crypto.randomBytes(24).toString('hex');
+    const [saved] = await store.insert('alert_subscriptions', [{
+      ...sub,
+      owner_token: owner,
+      secret,
+      active:      true,
+      created_at:  new Date().toISOString(),
+      last_state:  null,
+    }], { returning: true });
+
+    res.status(201).json({ success: true, subscription: publicView(saved), secret });
+
+  } catch (err) {
+    console.error('[alerts] error:', err.message);
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
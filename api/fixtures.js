@@ -0,0 +1,213 @@
+// ══════════════════════════════════════════════════
+// api/fixtures.js
+// Crowd-sourced fixture submission.
+//
+// POST a reported fixture either as a free-text line
+// or as structured fields. Free text goes through the
+// same parseLine() the HandyBulk scraper uses, then
+// the broker recap parser in lib/recap.js if that
+// fails. Submissions land in pending_fixtures for
+// moderation — nothing reaches scraped_rates until an
+// admin approves it via /api/fixtures/review.
+//
+// Body (free text):
+//   { "submitter": "<token>",
+//     "line": "Ultramax open Continent to China fixed around $17,500" }
+// Body (structured):
+//   { "submitter": "<token>", "vesselType": "Ultramax",
+//     "originText": "Continent", "destinationText": "China",
+//     "rate": 17500, "fixtureDate": "2026-02-20" }
+//
+// pending_fixtures columns:
+//   id, submitted_at, fixture_date, vessel_type,
+//   origin_text, destination_text, origin_region,
+//   destination_region, rate, raw_line, submitter_token,
+//   status (pending|duplicate|approved|rejected),
+//   duplicate_of, reviewed_at, review_note
+// ══════════════════════════════════════════════════
+
+const { REGION_MAP, mapRegion, mapVessel } = require('../lib/regions');
+const { parseLine } = require('../lib/sources/handybulk');
+const { parseRecap } = require('../lib/recap');
+const { openStore } = require('../lib/storage');
+
+const MIN_TOKEN_LENGTH = 8;
+const MAX_FIXTURE_AGE  = 45;   // days — same as the oldest tier in /api/rates
+const DUP_RATE_TOLERANCE = 0.02; // within 2% of a scraped rate = same fixture
+const REGION_CODES = new Set(Object.values(REGION_MAP));
+
+// ── Build a fixture from structured fields ─────────
+// A known region code is taken as-is; anything else is
+// treated as free text and mapped with mapRegion(), so
+// only codes in REGION_MAP reach scraped_rates.
+function regionOf(code, text) {
+  const c = String(code || '').trim().toUpperCase();
+  if (REGION_CODES.has(c)) return c;
+  return mapRegion(code ? String(code) : text);
+}
+
+function fromFields(body) {
+  const vesselType = body.vesselType ? mapVessel(String(body.vesselType)) : null;
+  if (!vesselType) return { error: 'Unknown vesselType' };
+
+  const originText      = String(body.originText || body.originRegion || '').trim();
+  const destinationText = String(body.destinationText || body.destinationRegion || '').trim();
+  const originRegion      = regionOf(body.originRegion, originText);
+  const destinationRegion = regionOf(body.destinationRegion, destinationText);
+  if (!originRegion)      return { error: `Cannot map origin "${originText}" to a region` };
+  if (!destinationRegion) return { error: `Cannot map destination "${destinationText}" to a region` };
+
+  const rate = parseInt(String(body.rate || '').replace(/[$,]/g, ''), 10);
+  if (!rate || rate < 1000 || rate > 200000) return { error: 'rate must be between 1,000 and 200,000 $/day' };
+
+  return {
+    fixture: {
+      vesselType,
+      originText,
+      destinationText,
+      originRegion,
+      destinationRegion,
+      rate,
+      rawLine: `${vesselType} open ${originText} to ${destinationText} fixed around $${rate.toLocaleString('en-US')}`,
+    },
+  };
+}
+
+// ── Build a fixture from a broker recap ────────────
+// Only used when the recap names a vessel, both ports
+// and a daily rate — anything less goes back to the
+// submitter with the parser's reasons.
+function fromRecap(text) {
+  const { fields, complete } = parseRecap(text);
+  if (!complete) {
+    const missing = ['vesselType', 'loadPort', 'dischargePort', 'rate']
+      .filter(k => fields[k].value === null)
+      .map(k => `${k}: ${fields[k].reason}`);
+    return { error: `Could not parse line — ${missing.join('; ')}` };
+  }
+  return {
+    fixture: {
+      vesselType:        fields.vesselType.value,
+      originText:        fields.loadPort.value.name,
+      destinationText:   fields.dischargePort.value.name,
+      originRegion:      fields.loadPort.value.region,
+      destinationRegion: fields.dischargePort.value.region,
+      rate:              fields.rate.value,
+      rawLine:           text.replace(/\s+/g, ' ').trim().slice(0, 500),
+    },
+  };
+}
+
+// ── Validate the reported fixture date ─────────────
+function fixtureDate(value) {
+  const today = new Date().toISOString().split('T')[0];
+  if (!value) return { date: today };
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value).getTime())) {
+    return { error: 'fixtureDate must be YYYY-MM-DD' };
+  }
+  const daysOld = Math.round((new Date(today).getTime() - new Date(value).getTime()) / 86400000);
+  if (daysOld < 0)               return { error: 'fixtureDate is in the future' };
+  if (daysOld > MAX_FIXTURE_AGE) return { error: `fixtureDate is more than ${MAX_FIXTURE_AGE} days old` };
+  return { date: value };
+}
+
+// ── Duplicate check against the same day's rows ────
+// A submission duplicates a scraped row when it is the
+// same vessel and route text on the same date and the
+// rate agrees within DUP_RATE_TOLERANCE.
+async function findDuplicate(f, date) {
+  const rows = await openStore('write').select('scraped_rates', {
+    select: 'id,origin_text,destination_text,rate,source',
+    where: [
+      ['scraped_date', 'eq', date],
+      ['vessel_type', 'eq', f.vesselType],
+      ['origin_region', 'eq', f.originRegion],
+      ['destination_region', 'eq', f.destinationRegion],
+    ],
+  });
+
+  return rows.find(r =>
+    (r.origin_text || '').toLowerCase()      === f.originText.toLowerCase() &&
+    (r.destination_text || '').toLowerCase() === f.destinationText.toLowerCase() &&
+    Math.abs(r.rate - f.rate) / r.rate <= DUP_RATE_TOLERANCE
+  ) || null;
+}
+
+module.exports = async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  let body = req.body || {};
+  if (typeof body === 'string') {
+    try { body = JSON.parse(body); }
+    catch (e) { return res.status(400).json({ success: false, error: 'Body must be JSON' }); }
+  }
+
+  const submitter = String(body.submitter || '').trim();
+  if (submitter.length < MIN_TOKEN_LENGTH) {
+    return res.status(400).json({ success: false, error: 'submitter token is required' });
+  }
+
+  // Free text takes precedence over structured fields
+  let fixture;
+  if (body.line) {
+    fixture = parseLine(String(body.line));
+    if (!fixture) {
+      const built = fromRecap(String(body.line));
+      if (built.error) return res.status(422).json({ success: false, error: built.error });
+      fixture = built.fixture;
+    }
+  } else {
+    const built = fromFields(body);
+    if (built.error) return res.status(422).json({ success: false, error: built.error });
+    fixture = built.fixture;
+  }
+
+  const { date, error: dateError } = fixtureDate(body.fixtureDate);
+  if (dateError) return res.status(422).json({ success: false, error: dateError });
+
+  try {
+    const dup = await findDuplicate(fixture, date);
+
+    const row = {
+      submitted_at:       new Date().toISOString(),
+      fixture_date:       date,
+      vessel_type:        fixture.vesselType,
+      origin_text:        fixture.originText,
+      destination_text:   fixture.destinationText,
+      origin_region:      fixture.originRegion,
+      destination_region: fixture.destinationRegion,
+      rate:               fixture.rate,
+      raw_line:           fixture.rawLine,
+      submitter_token:    submitter,
+      status:             dup ? 'duplicate' : 'pending',
+      duplicate_of:       dup ? dup.id : null,
+    };
+
+    const [saved] = await openStore('write').insert('pending_fixtures', [row], { returning: true });
+
+    res.status(dup ? 200 : 201).json({
+      success:   true,
+      id:        saved.id,
+      status:    saved.status,
+      duplicate: !!dup,
+      fixture: {
+        fixtureDate:       date,
+        vesselType:        fixture.vesselType,
+        originRegion:      fixture.originRegion,
+        destinationRegion: fixture.destinationRegion,
+        originText:        fixture.originText,
+        destinationText:   fixture.destinationText,
+        rate:              fixture.rate,
+      },
+    });
+
+  } catch (err) {
+    console.error('[fixtures] error:', err.message);
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
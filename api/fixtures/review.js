@@ -0,0 +1,127 @@
+// ══════════════════════════════════════════════════
+// api/fixtures/review.js
+// Admin moderation queue for crowd-sourced fixtures.
+//
+// GET  ?status=pending          → list the queue
+// POST { id, action, note }     → approve or reject
+//
+// Approving promotes the submission into
+// scraped_rates with source = 'crowd', so it is picked
+// up by /api/rates like any scraped row. The status
+// moves first, by a conditional update that only a
+// pending or duplicate row matches, and only the
+// request that moved it inserts — a second approval,
+// concurrent or a retry, gets 409.
+//
+// Protected by ADMIN_SECRET (Bearer header).
+// ══════════════════════════════════════════════════
+
+const { openStore } = require('../../lib/storage');
+
+const ADMIN_SECRET = process.env.ADMIN_SECRET;
+
+const STATUSES   = ['pending', 'duplicate', 'approved', 'rejected'];
+const REVIEWABLE = ['pending', 'duplicate'];
+
+async function getSubmission(id) {
+  const rows = await openStore('write').select('pending_fixtures', { where: [['id', 'eq', id]], limit: 1 });
+  return rows[0] || null;
+}
+
+async function promoteToScrapedRates(sub) {
+  await openStore('write').insert('scraped_rates', [{
+    scraped_date:       sub.fixture_date,
+    vessel_type:        sub.vessel_type,
+    origin_text:        sub.origin_text,
+    destination_text:   sub.destination_text,
+    origin_region:      sub.origin_region,
+    destination_region: sub.destination_region,
+    rate:               sub.rate,
+    raw_line:           sub.raw_line,
+    source:             'crowd',
+  }]);
+}
+
+// The reviewed row, or null when it was no longer
+// reviewable
+async function claimForReview(id, status, note) {
+  const rows = await openStore('write').update('pending_fixtures', [['id', 'eq', id], ['status', 'in', REVIEWABLE]], {
+    status,
+    reviewed_at: new Date().toISOString(),
+    review_note: note || null,
+  });
+  return rows[0] || null;
+}
+
+// Back in the queue when the promotion failed, so the
+// approval can be retried
+async function unclaim(id) {
+  await openStore('write').update('pending_fixtures', [['id', 'eq', id], ['status', 'eq', 'approved']], {
+    status:      'pending',
+    reviewed_at: null,
+    review_note: null,
+  });
+}
+
+module.exports = async function handler(req, res) {
+  const auth = req.headers.authorization || '';
+  if (!ADMIN_SECRET || auth !== `Bearer ${ADMIN_SECRET}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  let body = req.body || {};
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body);
+    } catch (err) {
+      return res.status(400).json({ success: false, error: 'Body must be JSON' });
+    }
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const status = new URL(req.url, 'https://x.com').searchParams.get('status') || 'pending';
+      if (!STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, error: `status must be one of ${STATUSES.join(', ')}` });
+      }
+      const rows = await openStore('write').select('pending_fixtures', {
+        where: [['status', 'eq', status]],
+        order: [['submitted_at', 'asc']],
+        limit: 500,
+      });
+      return res.json({ success: true, status, count: rows.length, fixtures: rows });
+    }
+
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    const { id, action, note } = body;
+
+    if (!id || !['approve', 'reject'].includes(action)) {
+      return res.status(400).json({ success: false, error: 'id and action (approve|reject) are required' });
+    }
+
+    const status = action === 'approve' ? 'approved' : 'rejected';
+    const sub = await claimForReview(id, status, note);
+    if (!sub) {
+      const current = await getSubmission(id);
+      if (!current) return res.status(404).json({ success: false, error: 'Submission not found' });
+      return res.status(409).json({ success: false, error: `Submission already ${current.status}` });
+    }
+
+    if (action === 'approve') {
+      try {
+        await promoteToScrapedRates(sub);
+      } catch (err) {
+        await unclaim(id);
+        throw err;
+      }
+    }
+
+    console.log(`[fixtures/review] ${action} #${id} ${sub.vessel_type} ${sub.origin_region}→${sub.destination_region} $${sub.rate}`);
+    res.json({ success: true, id, status });
+
+  } catch (err) {
+    console.error('[fixtures/review] error:', err.message);
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
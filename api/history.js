@@ -0,0 +1,173 @@
+// ══════════════════════════════════════════════════
+// api/history.js
+// Returns the daily TC rate series for one lane
+// (vessel/origin/destination) from scraped_rates,
+// with rolling averages, week-on-week change and
+// min/max bands.
+//
+// Query: ?vessel=ULTRAMAX&origin=N.EUROPE&destination=CHINA&days=90
+//
+// Several fixtures can land on the same lane on the
+// same day (distinct origin_text/destination_text),
+// so each day's point is the mean of that day's rows.
+// ══════════════════════════════════════════════════
+
+const { openStore } = require('../lib/storage');
+
+const DEFAULT_DAYS = 90;
+const MAX_DAYS     = 365;
+const SHORT_WINDOW = 7;   // days — short rolling average
+const LONG_WINDOW  = 30;  // days — long rolling average and min/max band
+
+const DAY_MS = 86400000;
+
+// ── Build the daily series from raw rows ──────────
+// rows must be sorted by scraped_date ascending.
+function dailySeries(rows) {
+  const byDate = new Map();
+  for (const row of rows) {
+    if (!byDate.has(row.scraped_date)) byDate.set(row.scraped_date, []);
+    byDate.get(row.scraped_date).push(row.rate);
+  }
+
+  const series = [];
+  for (const [date, rates] of byDate) {
+    const sum = rates.reduce((a, b) => a + b, 0);
+    series.push({
+      date,
+      rate:     Math.round(sum / rates.length),
+      fixtures: rates.length,
+    });
+  }
+  return series;
+}
+
+// ── Rolling stats over a trailing calendar window ──
+// Windows are in calendar days, not observations —
+// the scraper skips weekends and some lanes go quiet
+// for a week at a time.
+function addRollingStats(series) {
+  for (let i = 0; i < series.length; i++) {
+    const pointMs = new Date(series[i].date).getTime();
+    let shortSum = 0, shortN = 0;
+    let longSum  = 0, longN  = 0;
+    let min = Infinity, max = -Infinity;
+
+    for (let j = i; j >= 0; j--) {
+      const ageDays = (pointMs - new Date(series[j].date).getTime()) / DAY_MS;
+      if (ageDays >= LONG_WINDOW) break;
+      const r = series[j].rate;
+      longSum += r; longN++;
+      if (r < min) min = r;
+      if (r > max) max = r;
+      if (ageDays < SHORT_WINDOW) { shortSum += r; shortN++; }
+    }
+
+    series[i].avg7  = Math.round(shortSum / shortN);
+    series[i].avg30 = Math.round(longSum / longN);
+    series[i].min30 = min;
+    series[i].max30 = max;
+  }
+  return series;
+}
+
+// ── Week-on-week change ────────────────────────────
+// Compares the latest point with the most recent point
+// at least 7 days older. Null if the lane has no point
+// that far back.
+function weekOnWeek(series) {
+  if (series.length < 2) return { change: null, pct: null, vsDate: null };
+  const latest   = series[series.length - 1];
+  const latestMs = new Date(latest.date).getTime();
+
+  for (let i = series.length - 2; i >= 0; i--) {
+    const ageDays = (latestMs - new Date(series[i].date).getTime()) / DAY_MS;
+    if (ageDays >= 7) {
+      const change = latest.rate - series[i].rate;
+      return {
+        change,
+        pct:    Math.round((change / series[i].rate) * 1000) / 10,
+        vsDate: series[i].date,
+      };
+    }
+  }
+  return { change: null, pct: null, vsDate: null };
+}
+
+// ── Summary over the whole requested window ───────
+function summarise(series) {
+  if (series.length === 0) return null;
+  const rates  = series.map(p => p.rate);
+  const min    = Math.min(...rates);
+  const max    = Math.max(...rates);
+  const latest = series[series.length - 1];
+  const wow    = weekOnWeek(series);
+
+  return {
+    latest:       latest.rate,
+    latestDate:   latest.date,
+    min,
+    max,
+    avg:          Math.round(rates.reduce((a, b) => a + b, 0) / rates.length),
+    // Where the latest rate sits in the range: 0 = bottom, 1 = top
+    rangePos:     max === min ? 0.5 : Math.round(((latest.rate - min) / (max - min)) * 100) / 100,
+    wowChange:    wow.change,
+    wowPct:       wow.pct,
+    wowVsDate:    wow.vsDate,
+    observations: series.reduce((a, p) => a + p.fixtures, 0),
+  };
+}
+
+module.exports = async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET');
+  res.setHeader('Cache-Control', 's-maxage=3600, stale-while-revalidate'); // cache 1h on CDN
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const params      = new URL(req.url, 'https://x.com').searchParams;
+  const vessel      = (params.get('vessel') || '').toUpperCase();
+  const origin      = (params.get('origin') || '').toUpperCase();
+  const destination = (params.get('destination') || '').toUpperCase();
+  const days        = Math.min(MAX_DAYS, Math.max(1, parseInt(params.get('days'), 10) || DEFAULT_DAYS));
+
+  if (!vessel || !origin || !destination) {
+    return res.status(400).json({ success: false, error: 'vessel, origin and destination are required' });
+  }
+
+  try {
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - days);
+    const cutoffStr = cutoff.toISOString().split('T')[0];
+
+    const rows = await openStore('read').select('scraped_rates', {
+      select: 'rate,scraped_date',
+      where: [
+        ['vessel_type', 'eq', vessel],
+        ['origin_region', 'eq', origin],
+        ['destination_region', 'eq', destination],
+        ['scraped_date', 'gte', cutoffStr],
+      ],
+      order: [['scraped_date', 'asc'], ['rate', 'asc']],
+    });
+
+    const series = addRollingStats(dailySeries(rows));
+
+    res.json({
+      success:           true,
+      vesselType:        vessel,
+      originRegion:      origin,
+      destinationRegion: destination,
+      days,
+      count:             series.length,
+      fetchedAt:         new Date().toISOString(),
+      summary:           summarise(series),
+      series,
+    });
+
+  } catch (err) {
+    console.error('[history] error:', err.message);
+    res.status(500).json({ success: false, error: err.message, series: [], summary: null });
+  }
+}
@@ -0,0 +1,48 @@
+// ══════════════════════════════════════════════════
+// api/index/build.js
+// Builds and stores the DryFreight Index for a day
+// (lib/freightindex.js).
+//
+// Called by Vercel Cron at 08:30 UTC daily, after the
+// scrape. Also callable manually; ?date=YYYY-MM-DD
+// rebuilds a past day from the fixtures scraped up to
+// it. Days chain-link on the last published day, so
+// backfill in date order.
+// ══════════════════════════════════════════════════
+
+const { runIndex } = require('../../lib/freightindex');
+
+const CRON_SECRET = process.env.CRON_SECRET; // protects this endpoint
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+module.exports = async function handler(req, res) {
+  const params    = new URL(req.url, 'https://x.com').searchParams;
+  const urlSecret = params.get('secret');
+  const auth = req.headers.authorization || '';
+  const isVercelCron = req.headers['x-vercel-cron'] === '1';
+  const isManual     = CRON_SECRET && auth === `Bearer ${CRON_SECRET}`;
+  const isQuery      = CRON_SECRET && urlSecret === CRON_SECRET;
+
+  if (!isVercelCron && !isManual && !isQuery) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const today = new Date().toISOString().split('T')[0];
+  const date  = params.get('date') || today;
+  if (!DATE_RE.test(date) || isNaN(new Date(date)) || date > today) {
+    return res.status(400).json({ success: false, error: 'date must be a past date (YYYY-MM-DD)' });
+  }
+
+  try {
+    const index = await runIndex(date);
+    const summary = Object.entries(index.classes)
+      .map(([vt, c]) => `${vt}=${c.stale ? 'stale' : c.value}(${c.lanesFixture}/${c.lanesTotal})`)
+      .join(' ');
+    console.log(`[index] ${date}: composite ${index.composite} ${summary}`);
+    res.json({ success: true, ...index });
+  } catch (err) {
+    console.error('[index] error:', err.message);
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
@@ -0,0 +1,138 @@
+// ══════════════════════════════════════════════════
+// api/index/index.js
+// The DryFreight Index: latest values, daily history
+// and the per-lane contributions behind a day. Served
+// at /api/index, next to /api/index/build.
+//
+// Query: ?class=ULTRAMAX&days=90&date=2026-03-02
+//   class  COMPOSITE or a vessel class; default all
+//   days   history window (default 90, max 365)
+//   date   day whose contributions to return;
+//          default the latest published
+//
+// latest[class].stale is true when the class was not
+// published on the latest day (no fresh fixture).
+//
+// How the index is built, the basket and the fallback
+// rules: lib/freightindex.js. The basket itself is
+// returned with every response so a number can always
+// be traced back to its lanes.
+// ══════════════════════════════════════════════════
+
+const { basket, COMPOSITE } = require('../../lib/freightindex');
+const { etagFor, notModified } = require('../../lib/export');
+const { openStore } = require('../../lib/storage');
+
+const DEFAULT_DAYS = 90;
+const MAX_DAYS     = 365;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+module.exports = async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET');
+  res.setHeader('Access-Control-Expose-Headers', 'ETag');
+  res.setHeader('Cache-Control', 's-maxage=3600, stale-while-revalidate'); // cache 1h on CDN
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const params = new URL(req.url, 'https://x.com').searchParams;
+  const cls    = (params.get('class') || '').toUpperCase();
+  const days   = Math.min(MAX_DAYS, Math.max(1, parseInt(params.get('days'), 10) || DEFAULT_DAYS));
+  const date   = params.get('date');
+
+  if (cls && cls !== COMPOSITE && !basket.classes[cls]) {
+    return res.status(400).json({ success: false, error: `class must be ${COMPOSITE} or one of ${Object.keys(basket.classes).join(', ')}` });
+  }
+  if (date && (!DATE_RE.test(date) || isNaN(new Date(date)))) {
+    return res.status(400).json({ success: false, error: 'date must be a date (YYYY-MM-DD)' });
+  }
+
+  try {
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - days);
+    const cutoffStr = cutoff.toISOString().split('T')[0];
+    const classFilter = cls ? [['class', 'eq', cls]] : [];
+    const store = openStore('read');
+
+    const values = await store.select('index_values', {
+      select: 'date,class,value,coverage,lanes_fixture,lanes_used,lanes_total,basket_version',
+      where:  [['date', 'gte', cutoffStr], ...classFilter],
+      order:  [['date', 'asc'], ['class', 'asc']],
+    });
+
+    const latestDate = values.length ? values[values.length - 1].date : null;
+    const contribDate = date || latestDate;
+    const contributions = contribDate && cls !== COMPOSITE
+      ? await store.select('index_contributions', {
+          select: 'class,origin_region,destination_region,weight,rate,method,observations,days_old',
+          where:  [['date', 'eq', contribDate], ...classFilter],
+          order:  [['class', 'asc'], ['weight', 'desc']],
+        })
+      : [];
+
+    const history = {};
+    const latest  = {};
+    for (const v of values) {
+      (history[v.class] = history[v.class] || []).push({ date: v.date, value: v.value, coverage: v.coverage });
+      latest[v.class] = {
+        date:         v.date,
+        value:        v.value,
+        coverage:     v.coverage,
+        lanesFixture: v.lanes_fixture,
+        lanesUsed:    v.lanes_used,
+        lanesTotal:   v.lanes_total,
+        basketVersion: v.basket_version,
+      };
+    }
+    // A class not published on the latest day had no
+    // fresh fixture: its last value is stale
+    for (const c of Object.keys(latest)) latest[c].stale = latest[c].date !== latestDate;
+
+    // Day-on-day and week-on-week change per series
+    for (const [c, series] of Object.entries(history)) {
+      const last = series[series.length - 1];
+      const back = n => {
+        const d = new Date(last.date);
+        d.setDate(d.getDate() - n);
+        const ds = d.toISOString().split('T')[0];
+        for (let i = series.length - 2; i >= 0; i--) if (series[i].date <= ds) return series[i];
+        return null;
+      };
+      const prev = series.length > 1 ? series[series.length - 2] : null;
+      const week = back(7);
+      latest[c].change = prev ? Math.round((last.value - prev.value) * 100) / 100 : null;
+      latest[c].wowPct = week ? Math.round((last.value / week.value - 1) * 1000) / 10 : null;
+    }
+
+    const body = {
+      success:  true,
+      name:     basket.name,
+      asOf:     latestDate,
+      days,
+      latest,
+      history,
+      contributionsDate: contributions.length ? contribDate : null,
+      contributions: contributions.map(c => ({
+        class:             c.class,
+        originRegion:      c.origin_region,
+        destinationRegion: c.destination_region,
+        weight:            c.weight,
+        rate:              c.rate,
+        method:            c.method,
+        observations:      c.observations,
+        daysOld:           c.days_old,
+      })),
+      basket,
+    };
+    const etag = etagFor(JSON.stringify(body));
+    res.setHeader('ETag', etag);
+    if (notModified(req, etag)) return res.status(304).end();
+    res.json({ ...body, fetchedAt: new Date().toISOString() });
+
+  } catch (err) {
+    console.error('[index] error:', err.message);
+    res.status(500).json({ success: false, error: err.message, latest: {}, history: {} });
+  }
+}
@@ -3,92 +3,232 @@
 // Returns the best available TC rate for every
 // vessel/origin/destination combination we have.
 //
-// Applies the freshness framework:
+// Each lane's rate is a recency-weighted blend of
+// every fixture in the last 45 days, with outliers
+// rejected (lib/estimate.js). Confidence starts from
+// the freshness framework on the newest fixture used:
 //   Tier 1 (0-3 days):  confidence 95
 //   Tier 2 (4-14 days): confidence 75
 //   Tier 3 (15-45 days):confidence 50
 //   Hardcoded fallback: confidence 30 (not from this API)
+// and is then scaled by how many fixtures back the
+// estimate, how closely they agree, and their source
+// (approved crowd fixtures, see api/fixtures.js, count
+// for a little less than the scraped HandyBulk feed).
+//
+// Query (all optional; lists are comma-separated):
+//   vessel=ULTRAMAX,SUPRAMAX   origin=N.EUROPE
+//   destination=CHINA          tier=1,2
+//   minConfidence=60
+//   from=2026-01-01&to=2026-02-14
+//       Observation window; estimates are as of `to`
+//       (default today), `from` defaults to 45 days
+//       before it, and the window is at most MAX_DAYS
+//   limit=100&cursor=<nextCursor>
+//       Cursor pagination over the lanes, which are
+//       sorted by vessel/origin/destination. Without
+//       limit every lane comes back in one page.
+//   format=json|csv    (or Accept: text/csv)
+//       CSV carries the lanes only, under the column
+//       names in CSV_COLUMNS; the next page is in the
+//       Link header for both formats.
+//
+// Responses carry an ETag; a matching If-None-Match
+// gets a 304.
 // ══════════════════════════════════════════════════
 
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_KEY = process.env.SUPABASE_ANON_KEY; // public read-only key
+const { TIER3_DAYS, estimateRate } = require('../lib/estimate');
+const { toCsv, pickFormat, etagFor, notModified } = require('../lib/export');
+const { openStore } = require('../lib/storage');
+
+// Hubs without a price this recent fall back in the calculator
+const BUNKER_DAYS = 7;
+
+const MAX_DAYS  = 365;
+const MAX_LIMIT = 1000;
+
+const DAY_MS = 86400000;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Stable CSV columns — add new ones at the end
+const CSV_COLUMNS = [
+  { name: 'vessel_type',        get: r => r.vesselType },
+  { name: 'origin_region',      get: r => r.originRegion },
+  { name: 'destination_region', get: r => r.destinationRegion },
+  { name: 'rate',               get: r => r.rate },
+  { name: 'confidence',         get: r => r.confidence },
+  { name: 'tier',               get: r => r.tier },
+  { name: 'scraped_date',       get: r => r.scrapedDate },
+  { name: 'days_old',           get: r => r.daysOld },
+  { name: 'observations',       get: r => r.observations },
+  { name: 'effective_n',        get: r => r.effectiveN },
+  { name: 'std_dev',            get: r => r.stdDev },
+  { name: 'std_error',          get: r => r.stdError },
+  { name: 'min',                get: r => r.spread.min },
+  { name: 'max',                get: r => r.spread.max },
+  { name: 'source',             get: r => r.source },
+  { name: 'origin_text',        get: r => r.originText },
+  { name: 'destination_text',   get: r => r.destinationText },
+  { name: 'raw_line',           get: r => r.rawLine },
+];
+
+// ── Query parameters ───────────────────────────────
+// Returns { error } on anything malformed.
+function parseQuery(params) {
+  const list = name => (params.get(name) || '').split(',').map(v => v.trim().toUpperCase()).filter(Boolean);
+
+  const to = params.get('to') || new Date().toISOString().split('T')[0];
+  if (!DATE_RE.test(to) || isNaN(new Date(to))) return { error: 'to must be a date (YYYY-MM-DD)' };
+  let from = params.get('from');
+  if (from) {
+    if (!DATE_RE.test(from) || isNaN(new Date(from))) return { error: 'from must be a date (YYYY-MM-DD)' };
+  } else {
+    const d = new Date(to);
+    d.setDate(d.getDate() - TIER3_DAYS);
+    from = d.toISOString().split('T')[0];
+  }
+  const span = (new Date(to) - new Date(from)) / DAY_MS;
+  if (span < 0) return { error: 'from must not be after to' };
+  if (span > MAX_DAYS) return { error: `from/to may span at most ${MAX_DAYS} days` };
+
+  const tiers = list('tier').map(Number);
+  if (tiers.some(t => ![1, 2, 3].includes(t))) return { error: 'tier must be 1, 2 or 3' };
+
+  let minConfidence = null;
+  if (params.has('minConfidence')) {
+    minConfidence = Number(params.get('minConfidence'));
+    if (!Number.isFinite(minConfidence)) return { error: 'minConfidence must be a number' };
+  }
+
+  let limit = null;
+  if (params.has('limit')) {
+    limit = parseInt(params.get('limit'), 10);
+    if (!(limit >= 1 && limit <= MAX_LIMIT)) return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+  }
+
+  let after = null;
+  if (params.get('cursor')) {
+    after = decodeCursor(params.get('cursor'));
+    if (!after) return { error: 'Invalid cursor' };
+  }
 
-const TIER1_DAYS = 3;
-const TIER2_DAYS = 14;
-const TIER3_DAYS = 45;
+  return {
+    vessels:      list('vessel'),
+    origins:      list('origin'),
+    destinations: list('destination'),
+    from, to, tiers, minConfidence, limit, after,
+  };
+}
 
-function getTierAndConfidence(daysOld) {
-  if (daysOld <= TIER1_DAYS) return { tier: 1, confidence: 95 };
-  if (daysOld <= TIER2_DAYS) return { tier: 2, confidence: 75 };
-  if (daysOld <= TIER3_DAYS) return { tier: 3, confidence: 50 };
-  return { tier: 4, confidence: 30 };
+// ── Cursor ─────────────────────────────────────────
+// Opaque to clients: the last lane key of the page.
+function laneKey(r) {
+  return [r.vesselType, r.originRegion, r.destinationRegion];
+}
+function compareKeys(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    const c = a[i].localeCompare(b[i]);
+    if (c) return c;
+  }
+  return 0;
+}
+function encodeCursor(key) {
+  return Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+function decodeCursor(cursor) {
+  try {
+    const key = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    return Array.isArray(key) && key.length === 3 && key.every(k => typeof k === 'string') ? key : null;
+  } catch {
+    return null;
+  }
 }
 
 module.exports = async function handler(req, res) {
   // CORS — allow the calculator to call this from any origin
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET');
+  res.setHeader('Access-Control-Expose-Headers', 'ETag, Link');
   res.setHeader('Cache-Control', 's-maxage=3600, stale-while-revalidate'); // cache 1h on CDN
+  res.setHeader('Vary', 'Accept');
 
   if (req.method === 'OPTIONS') return res.status(200).end();
   if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
 
+  const params = new URL(req.url, 'https://x.com').searchParams;
+  const query  = parseQuery(params);
+  if (query.error) return res.status(400).json({ success: false, error: query.error });
+  const format = pickFormat(req, params, ['json', 'csv']);
+  if (!format) return res.status(400).json({ success: false, error: 'format must be json or csv' });
+
   try {
-    const cutoff = new Date();
-    cutoff.setDate(cutoff.getDate() - TIER3_DAYS);
-    const cutoffStr = cutoff.toISOString().split('T')[0];
     const today     = new Date().toISOString().split('T')[0];
+    const bunkerCutoff = new Date();
+    bunkerCutoff.setDate(bunkerCutoff.getDate() - BUNKER_DAYS);
+    const bunkerCutoffStr = bunkerCutoff.toISOString().split('T')[0];
+
+    const store = openStore('read');
+    const where = [
+      ['scraped_date', 'gte', query.from],
+      ['scraped_date', 'lte', query.to],
+    ];
+    if (query.vessels.length)      where.push(['vessel_type', 'in', query.vessels]);
+    if (query.origins.length)      where.push(['origin_region', 'in', query.origins]);
+    if (query.destinations.length) where.push(['destination_region', 'in', query.destinations]);
 
     // Fetch TC rates and bunker prices in parallel
-    const [tcRes, bunkerRes] = await Promise.all([
-      // TC rates — last 45 days
-      fetch(`${SUPABASE_URL}/rest/v1/scraped_rates?select=vessel_type,origin_region,destination_region,origin_text,destination_text,rate,scraped_date,raw_line&scraped_date=gte.${cutoffStr}&order=scraped_date.desc&limit=5000`, {
-        headers: { 'apikey': SUPABASE_KEY, 'Authorization': `Bearer ${SUPABASE_KEY}` },
-      }),
-      // Bunker prices — last 7 days per hub
-      fetch(`${SUPABASE_URL}/rest/v1/bunker_prices?select=hub,vlsfo,mgo,scraped_date&order=scraped_date.desc&limit=50`, {
-        headers: { 'apikey': SUPABASE_KEY, 'Authorization': `Bearer ${SUPABASE_KEY}` },
+    const [rows, bunkerRows] = await Promise.all([
+      // TC rates — the requested window
+      store.select('scraped_rates', {
+        select: 'vessel_type,origin_region,destination_region,origin_text,destination_text,rate,scraped_date,raw_line,source',
+        where,
+        // A total order, so paging neither skips nor
+        // repeats rows
+        order: [['scraped_date', 'desc'], ['vessel_type'], ['origin_region'], ['destination_region'], ['raw_line']],
       }),
+      // Bunker prices — last 7 days per hub (JSON only);
+      // non-fatal
+      format === 'json' ? store.select('bunker_prices', {
+        select: 'hub,vlsfo,mgo,hsfo,scraped_date',
+        where:  [['scraped_date', 'gte', bunkerCutoffStr]],
+        order:  [['scraped_date', 'desc'], ['hub']],
+        limit:  1000,
+      }).catch(err => {
+        console.error('[rates] bunker query failed:', err.message);
+        return [];
+      }) : [],
     ]);
 
-    if (!tcRes.ok) throw new Error(`Supabase TC query failed: ${tcRes.status}`);
-    const rows = await tcRes.json();
-
-    // Bunker prices — non-fatal
-    let bunkerByHub = {};
-    if (bunkerRes.ok) {
-      const bunkerRows = await bunkerRes.json();
-      // Keep only the most recent row per hub
-      for (const row of bunkerRows) {
-        if (!bunkerByHub[row.hub]) {
-          const rowMs   = new Date(row.scraped_date).getTime();
-          const todayMs = new Date(today).getTime();
-          const daysOld = Math.round((todayMs - rowMs) / 86400000);
-          bunkerByHub[row.hub] = {
-            hub:         row.hub,
-            vlsfo:       row.vlsfo,
-            mgo:         row.mgo,
-            scrapedDate: row.scraped_date,
-            daysOld,
-          };
-        }
+    // Keep only the most recent row per hub
+    const bunkerByHub = {};
+    for (const row of bunkerRows) {
+      if (!bunkerByHub[row.hub]) {
+        const rowMs   = new Date(row.scraped_date).getTime();
+        const todayMs = new Date(today).getTime();
+        const daysOld = Math.round((todayMs - rowMs) / 86400000);
+        bunkerByHub[row.hub] = {
+          hub:         row.hub,
+          vlsfo:       row.vlsfo,
+          mgo:         row.mgo,
+          hsfo:        row.hsfo,
+          scrapedDate: row.scraped_date,
+          daysOld,
+        };
       }
     }
 
-    // Dedup TC rates: keep most recent per (vessel, origin, destination)
-    const best = new Map();
+    // Group TC rates by lane — every row is an observation
+    const lanes = new Map();
     for (const row of rows) {
       const key = `${row.vessel_type}|${row.origin_region}|${row.destination_region}`;
-      if (!best.has(key)) best.set(key, row);
+      if (!lanes.has(key)) lanes.set(key, []);
+      lanes.get(key).push(row);
     }
 
-    const todayMs = new Date(today).getTime();
-    const result  = [];
-
-    for (const row of best.values()) {
-      const rowMs   = new Date(row.scraped_date).getTime();
-      const daysOld = Math.round((todayMs - rowMs) / 86400000);
-      const { tier, confidence } = getTierAndConfidence(daysOld);
+    let result = [];
+    for (const laneRows of lanes.values()) {
+      const est = estimateRate(laneRows, query.to);
+      const row = est.newest;
 
       result.push({
         vesselType:         row.vessel_type,
@@ -96,27 +236,66 @@ module.exports = async function handler(req, res) {
         destinationRegion:  row.destination_region,
         originText:         row.origin_text,
         destinationText:    row.destination_text,
-        rate:               row.rate,
-        scrapedDate:        row.scraped_date,
-        daysOld,
-        tier,
-        confidence,
+        rate:               est.rate,
+        scrapedDate:        est.scrapedDate,
+        daysOld:            est.daysOld,
+        tier:               est.tier,
+        confidence:         est.confidence,
         rawLine:            row.raw_line,
+        source:             est.source,
+        sources:            est.sources,
+        observations:       est.observations,
+        effectiveN:         est.effectiveN,
+        stdDev:             est.stdDev,
+        stdError:           est.stdError,
+        spread:             { min: est.min, max: est.max },
+        rejected:           est.rejected,
       });
     }
 
-    result.sort((a, b) =>
-      a.vesselType.localeCompare(b.vesselType) ||
-      a.originRegion.localeCompare(b.originRegion)
+    result = result.filter(r =>
+      (!query.tiers.length || query.tiers.includes(r.tier)) &&
+      (query.minConfidence === null || r.confidence >= query.minConfidence)
     );
+    result.sort((a, b) => compareKeys(laneKey(a), laneKey(b)));
+
+    // ── Page ──
+    const total = result.length;
+    if (query.after) result = result.filter(r => compareKeys(laneKey(r), query.after) > 0);
+    let nextCursor = null;
+    if (query.limit && result.length > query.limit) {
+      result = result.slice(0, query.limit);
+      nextCursor = encodeCursor(laneKey(result[result.length - 1]));
+    }
+    if (nextCursor) {
+      const next = new URLSearchParams(params);
+      next.set('cursor', nextCursor);
+      res.setHeader('Link', `<${req.url.split('?')[0]}?${next}>; rel="next"`);
+    }
+
+    if (format === 'csv') {
+      const csv = toCsv(result, CSV_COLUMNS);
+      const etag = etagFor(csv);
+      res.setHeader('ETag', etag);
+      if (notModified(req, etag)) return res.status(304).end();
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `inline; filename="rates-${query.to}.csv"`);
+      return res.status(200).send(csv);
+    }
 
-    res.json({
-      success:   true,
-      count:     result.length,
-      fetchedAt: new Date().toISOString(),
-      rates:     result,
-      bunker:    bunkerByHub,
-    });
+    const body = {
+      success:    true,
+      count:      result.length,
+      total,
+      nextCursor,
+      asOf:       query.to,
+      rates:      result,
+      bunker:     bunkerByHub,
+    };
+    const etag = etagFor(JSON.stringify(body));
+    res.setHeader('ETag', etag);
+    if (notModified(req, etag)) return res.status(304).end();
+    res.json({ ...body, fetchedAt: new Date().toISOString() });
 
   } catch (err) {
     console.error('[rates] error:', err.message);
@@ -0,0 +1,78 @@
+// ══════════════════════════════════════════════════
+// api/refdata.js
+// The reference data the calculator prices with —
+// DAs, port rates, tolls, war risk, commodities and
+// ports — as versioned datasets.
+//
+// Query:
+//   (none)              current version of every dataset
+//   ?dataset=regions    just that one
+//   &version=3          a given published version (0 is
+//                       the file bundled with the deploy)
+//   ?date=2026-03-02    the versions in force on a date
+//   &data=0             metadata only
+//
+// Versioning, validation and the admin side:
+// lib/refdata.js and api/refdata/admin.js.
+// ══════════════════════════════════════════════════
+
+const { DATASETS, currentVersion, getVersion } = require('../lib/refdata');
+const { etagFor, notModified } = require('../lib/export');
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+module.exports = async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET');
+  res.setHeader('Access-Control-Expose-Headers', 'ETag');
+  // Short, so a published change reaches the calculator the same day
+  res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const params   = new URL(req.url, 'https://x.com').searchParams;
+  const dataset  = params.get('dataset');
+  const version  = params.get('version');
+  const date     = params.get('date');
+  const withData = params.get('data') !== '0';
+
+  if (dataset && !DATASETS[dataset]) {
+    return res.status(400).json({ success: false, error: `dataset must be one of ${Object.keys(DATASETS).join(', ')}` });
+  }
+  if (version !== null && (!dataset || !/^\d+$/.test(version))) {
+    return res.status(400).json({ success: false, error: 'version needs a dataset and must be a whole number' });
+  }
+  if (date && (!DATE_RE.test(date) || isNaN(new Date(date)))) {
+    return res.status(400).json({ success: false, error: 'date must be a date (YYYY-MM-DD)' });
+  }
+
+  try {
+    const names = dataset ? [dataset] : Object.keys(DATASETS);
+    const datasets = {};
+    for (const name of names) {
+      const v = version !== null
+        ? await getVersion(name, parseInt(version, 10))
+        : await currentVersion(name, date || undefined);
+      if (!v) return res.status(404).json({ success: false, error: `No published version ${version} of ${name}` });
+      datasets[name] = {
+        version:       v.version,
+        effectiveDate: v.effectiveDate,
+        publishedAt:   v.publishedAt,
+        note:          v.note,
+        checksum:      v.checksum,
+        ...(withData ? { data: v.data } : {}),
+      };
+    }
+
+    const body = { success: true, asOf: date || new Date().toISOString().split('T')[0], datasets };
+    const etag = etagFor(JSON.stringify(body));
+    res.setHeader('ETag', etag);
+    if (notModified(req, etag)) return res.status(304).end();
+    res.json({ ...body, fetchedAt: new Date().toISOString() });
+
+  } catch (err) {
+    console.error('[refdata] error:', err.message);
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
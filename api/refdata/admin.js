@@ -0,0 +1,91 @@
+// ══════════════════════════════════════════════════
+// api/refdata/admin.js
+// Editing the reference datasets behind /api/refdata.
+//
+// GET  ?dataset=regions              → version history
+//                                      (drafts included)
+// GET  ?dataset=regions&version=4    → one version, with
+//                                      its data
+// POST { dataset, action, … }
+//   validate  { data }               → errors, warnings
+//   draft     { data, note, version? } save a new draft,
+//                                      or new data for
+//                                      draft `version`
+//   publish   { version, effectiveDate?, note? }
+//                                      publish a draft —
+//                                      refused while it
+//                                      has errors
+//
+// Protected by ADMIN_SECRET (Bearer header). The
+// admin page is app/admin.html.
+// ══════════════════════════════════════════════════
+
+const { DATASETS, validate, getVersion, listVersions, saveDraft, publish } = require('../../lib/refdata');
+
+const ADMIN_SECRET = process.env.ADMIN_SECRET;
+const ACTIONS = ['validate', 'draft', 'publish'];
+
+module.exports = async function handler(req, res) {
+  const auth = req.headers.authorization || '';
+  if (!ADMIN_SECRET || auth !== `Bearer ${ADMIN_SECRET}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const params  = new URL(req.url, 'https://x.com').searchParams;
+      const dataset = params.get('dataset');
+      if (!DATASETS[dataset]) {
+        return res.status(400).json({ success: false, error: `dataset must be one of ${Object.keys(DATASETS).join(', ')}` });
+      }
+      if (params.get('version') === null) {
+        return res.json({ success: true, dataset, label: DATASETS[dataset].label, versions: await listVersions(dataset) });
+      }
+      const v = await getVersion(dataset, parseInt(params.get('version'), 10), 'write');
+      if (!v) return res.status(404).json({ success: false, error: 'Version not found' });
+      return res.json({ success: true, version: v });
+    }
+
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    let body = req.body || {};
+    if (typeof body === 'string') {
+      try { body = JSON.parse(body); }
+      catch (e) { return res.status(400).json({ success: false, error: 'Invalid JSON' }); }
+    }
+    const { dataset, action } = body;
+
+    if (!DATASETS[dataset] || !ACTIONS.includes(action)) {
+      return res.status(400).json({ success: false, error: `dataset (${Object.keys(DATASETS).join('|')}) and action (${ACTIONS.join('|')}) are required` });
+    }
+    const version = body.version === undefined || body.version === null ? null : parseInt(body.version, 10);
+    if (action === 'publish' && !version) {
+      return res.status(400).json({ success: false, error: 'version of the draft to publish is required' });
+    }
+    if (action !== 'publish' && (body.data === null || typeof body.data !== 'object')) {
+      return res.status(400).json({ success: false, error: 'data must be the dataset as JSON' });
+    }
+
+    if (action === 'validate') {
+      return res.json({ success: true, dataset, ...(await validate(dataset, body.data)) });
+    }
+
+    const opts = { note: body.note, author: body.author };
+    const result = action === 'draft'
+      ? await saveDraft(dataset, body.data, { ...opts, version })
+      : await publish(dataset, version, { ...opts, effectiveDate: body.effectiveDate });
+    if (result.error) {
+      const { status, ...rest } = result;
+      return res.status(status).json({ success: false, ...rest });
+    }
+
+    const v = result.version;
+    console.log(`[refdata/admin] ${action} ${dataset} v${v.version}${v.effectiveDate ? ` effective ${v.effectiveDate}` : ''}`);
+    const { data, ...meta } = v;
+    res.status(action === 'draft' && !version ? 201 : 200).json({ success: true, version: meta, warnings: result.warnings });
+
+  } catch (err) {
+    console.error('[refdata/admin] error:', err.message);
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
@@ -1,445 +1,31 @@
 // ══════════════════════════════════════════════════
 // api/scrape.js
-// Fetches HandyBulk daily rates page, parses all
-// TC rate bullet points, stores them in Supabase.
+// Runs every registered rate source (lib/sources) —
+// fetch, parse, validate, store — and records each
+// source's outcome in scrape_runs.
 //
 // Called by Vercel Cron at 08:00 UTC daily.
 // Also callable manually for testing.
+// Health of past runs: /api/scrape/status
+//
+// Alert subscriptions (lib/alerts.js) are evaluated
+// once the new rows are in; a failure there is logged
+// and does not fail the scrape. Their deliveries stop
+// ALERTS_DEADLINE_MS into the request, inside the 60s
+// maxDuration — the rest wait for tomorrow's run.
 // ══════════════════════════════════════════════════
 
-// Node 18+ has native fetch. This line is a safety
-// fallback for older environments.
-const fetch = globalThis.fetch || require('node-fetch');
-
-const SUPABASE_URL    = process.env.SUPABASE_URL;
-const SUPABASE_KEY    = process.env.SUPABASE_SERVICE_KEY; // service role key (write access)
-const CRON_SECRET     = process.env.CRON_SECRET;          // protects this endpoint
-
-const SOURCE_URL = 'https://www.handybulk.com/ship-charter-rates/';
-
-// ── Region text → our region code ─────────────────
-// Maps HandyBulk's free-text location names to our
-// standardised region codes used in the calculator.
-const REGION_MAP = {
-  // Europe
-  'continent':              'N.EUROPE',
-  'n.europe':               'N.EUROPE',
-  'north europe':           'N.EUROPE',
-  'northern europe':        'N.EUROPE',
-  'arag':                   'N.EUROPE',
-  'uk continent':           'N.EUROPE',
-  'germany':                'N.EUROPE',
-  'uk':                     'N.EUROPE',
-  'netherlands':            'N.EUROPE',
-  'belgium':                'N.EUROPE',
-  'france':                 'N.EUROPE',
-  'baltic':                 'BALTIC',
-  'finland':                'BALTIC',
-  'sweden':                 'BALTIC',
-  'poland':                 'BALTIC',
-  // Mediterranean
-  'spain':                  'W.MED',
-  'portugal':               'W.MED',
-  'morocco':                'W.MED',
-  'algeria':                'W.MED',
-  'w.med':                  'W.MED',
-  'west med':               'W.MED',
-  'west mediterranean':     'W.MED',
-  'east mediterranean':     'E.MED',
-  'e.med':                  'E.MED',
-  'emed':                   'E.MED',
-  'east med':               'E.MED',
-  'egypt med':              'E.MED',
-  'egypt':                  'E.MED',
-  'turkey':                 'E.MED',
-  'turkiye':                'E.MED',
-  'turkiye med':            'E.MED',
-  'greece':                 'E.MED',
-  'italy':                  'W.MED',
-  // Black Sea
-  'black sea':              'BLACK SEA',
-  'ukraine':                'BLACK SEA',
-  'romania':                'BLACK SEA',
-  // Americas
-  'us gulf':                'US GULF',
-  'usg':                    'US GULF',
-  'us east coast':          'US EAST COAST',
-  'usec':                   'US EAST COAST',
-  'east coast south america':'E.S.AMERICA',
-  'ecsa':                   'E.S.AMERICA',
-  'brazil':                 'E.S.AMERICA',
-  'argentina':              'E.S.AMERICA',
-  'uruguay':                'E.S.AMERICA',
-  'sw passage':             'E.S.AMERICA',
-  'north coast south america':'N.S.AMERICA',
-  'ncsa':                   'N.S.AMERICA',
-  'colombia':               'N.S.AMERICA',
-  'colombia east coast':    'N.S.AMERICA',
-  'venezuela':              'N.S.AMERICA',
-  'east coast north america':'US EAST COAST',
-  'ecna':                   'US EAST COAST',
-  'dominican republic':     'CARIBBEAN',
-  'caribbean':              'CARIBBEAN',
-  'mexico east coast':      'MEXICO',
-  'mexico':                 'MEXICO',
-  'peru':                   'W.S.AMERICA',
-  'ecuador':                'W.S.AMERICA',
-  'west coast south america':'W.S.AMERICA',
-  'wcsa':                   'W.S.AMERICA',
-  // Africa
-  'west africa':            'W.AFRICA',
-  'wafr':                   'W.AFRICA',
-  'waf':                    'W.AFRICA',
-  'w.africa':               'W.AFRICA',
-  'nigeria':                'W.AFRICA',
-  'gabon':                  'W.AFRICA',
-  'ghana':                  'W.AFRICA',
-  'south africa':           'S.AFRICA',
-  'saf':                    'S.AFRICA',
-  's.africa':               'S.AFRICA',
-  'east africa':            'E.AFRICA',
-  'kenya':                  'E.AFRICA',
-  'mozambique':             'E.AFRICA',
-  // Middle East / Red Sea
-  'middle east':            'MIDDLE EAST',
-  'uae':                    'MIDDLE EAST',
-  'qatar':                  'MIDDLE EAST',
-  'oman':                   'MIDDLE EAST',
-  'saudi arabia':           'MIDDLE EAST',
-  'iraq':                   'MIDDLE EAST',
-  'iran':                   'MIDDLE EAST',
-  'red sea':                'RED SEA',
-  // Indian Subcontinent
-  'west coast india':       'W.INDIA',
-  'wci':                    'W.INDIA',
-  'w.india':                'W.INDIA',
-  'india':                  'W.INDIA',
-  'pakistan':               'W.INDIA',
-  'east coast india':       'E.INDIA',
-  'eci':                    'E.INDIA',
-  'e.india':                'E.INDIA',
-  'bangladesh':             'E.INDIA',
-  'south india':            'S.INDIA',
-  's.india':                'S.INDIA',
-  'sri lanka':              'S.INDIA',
-  // Asia Pacific
-  'china':                  'CHINA',
-  'south china':            'CHINA',
-  'north china':            'CHINA',
-  'hong kong':              'CHINA',
-  'taiwan':                 'N.ASIA',
-  'japan':                  'N.ASIA',
-  'japan-korea':            'N.ASIA',
-  'south korea':            'N.ASIA',
-  'korea':                  'N.ASIA',
-  'north pacific':          'N.ASIA',
-  'nopac':                  'N.ASIA',
-  'n.asia':                 'N.ASIA',
-  'far east':               'CHINA',      // generic Far East → China
-  'indonesia':              'SE.ASIA',
-  'malaysia':               'SE.ASIA',
-  'thailand':               'SE.ASIA',
-  'vietnam':                'SE.ASIA',
-  'cambodia':               'SE.ASIA',
-  'philippines':            'SE.ASIA',
-  'south east asia':        'SE.ASIA',
-  'southeast asia':         'SE.ASIA',
-  'se asia':                'SE.ASIA',
-  'sea':                    'SE.ASIA',
-  'australia':              'AUSTRALIA',
-};
-
-// ── Map a raw location text to region code ─────────
-function mapRegion(text) {
-  if (!text) return null;
-  const t = text.toLowerCase()
-    .replace(/\s*\(.*?\)/g, '')   // strip parenthetical e.g. "(USG)" "(ECSA)"
-    .trim();
-
-  // Direct match first
-  if (REGION_MAP[t]) return REGION_MAP[t];
-
-  // Partial match — look for any key that appears in the text
-  for (const [key, region] of Object.entries(REGION_MAP)) {
-    if (t.includes(key)) return region;
-  }
-
-  return null;
-}
-
-// ── Map HandyBulk vessel name to our vessel type ───
-function mapVessel(text) {
-  const t = text.toLowerCase();
-  if (t.includes('capesize') || t.includes('cape')) return 'CAPESIZE';
-  if (t.includes('panamax'))                         return 'PANAMAX';
-  if (t.includes('ultramax'))                        return 'ULTRAMAX';
-  if (t.includes('supramax'))                        return 'SUPRAMAX';
-  if (t.includes('handy'))                           return 'HANDY';
-  return null;
-}
-
-// ── Parse bullet line ──────────────────────────────
-// Input:  "• Ultramax open Continent to China fixed around $17,500"
-// Output: { vesselType, originText, destinationText, rate }
-// Also handles "via" routes:
-//   "Supramax open West Africa (WAFR) via ECSA to China fixed around $20,500"
-function parseLine(line) {
-  // Strip HTML tags, bullet chars, trim
-  const clean = line
-    .replace(/<[^>]+>/g, '')     // remove ALL HTML tags e.g. <p>, </p>
-    .replace(/^[•·\-\*]\s*/, '') // remove bullet
-    .trim();
-
-  // Must end with "fixed around $NUMBER"
-  const rateMatch = clean.match(/fixed\s+around\s+\$([0-9,]+)/i);
-  if (!rateMatch) return null;
-
-  const rate = parseInt(rateMatch[1].replace(/,/g, ''), 10);
-  if (!rate || rate < 1000 || rate > 200000) return null; // sanity check
-
-  // Everything before "fixed around"
-  const beforeFixed = clean.substring(0, clean.indexOf('fixed around')).trim();
-
-  // Extract vessel type (first word)
-  const firstWord = beforeFixed.split(/\s+/)[0];
-  const vesselType = mapVessel(firstWord);
-  if (!vesselType) return null;
-
-  // Remove "VESSEL open" prefix
-  const afterOpen = beforeFixed.replace(/^\S+\s+open\s+/i, '').trim();
-
-  // Split on " to " — last occurrence is always destination
-  const toIdx = afterOpen.lastIndexOf(' to ');
-  if (toIdx === -1) return null;
-
-  const originVia = afterOpen.substring(0, toIdx).trim();
-  const destinationText = afterOpen.substring(toIdx + 4).trim().replace(/\s*$/, '');
-
-  // Origin is everything before " via " (or the whole string if no "via")
-  const viaIdx = originVia.lastIndexOf(' via ');
-  const originText = (viaIdx !== -1)
-    ? originVia.substring(0, viaIdx).trim()
-    : originVia;
-
-  const originRegion = mapRegion(originText);
-  const destinationRegion = mapRegion(destinationText);
-
-  // Skip if we can't map either region
-  if (!originRegion || !destinationRegion) return null;
-
-  return {
-    vesselType,
-    originText,
-    destinationText,
-    originRegion,
-    destinationRegion,
-    rate,
-    rawLine: clean,
-  };
-}
-
-// ── Parse the full HTML page ───────────────────────
-function parseRates(html) {
-  const rates = [];
-  const seen  = new Set(); // dedup within one day's scrape
-
-  // Split on newlines AND <br> tags — HandyBulk uses both
-  const lines = html.split(/\n|<br\s*\/?>/i);
-
-  for (const line of lines) {
-    const trimmed = line.trim();
-
-    // Must contain "fixed around $" — this is the only reliable signal
-    if (!trimmed.toLowerCase().includes('fixed around')) continue;
-
-    // Must mention a vessel type
-    const tl = trimmed.toLowerCase();
-    if (!tl.includes('handy') && !tl.includes('supramax') &&
-        !tl.includes('ultramax') && !tl.includes('panamax') &&
-        !tl.includes('capesize') && !tl.includes('cape')) continue;
-
-    const parsed = parseLine(trimmed);
-    if (!parsed) continue;
-
-    // Dedup on raw origin+destination text — preserves distinct routes
-    // that happen to map to the same region (e.g. Argentina→Morocco and
-    // Argentina→Algeria are both E.S.AMERICA→W.MED but different trades)
-    const key = `${parsed.vesselType}|${parsed.originText.toLowerCase()}|${parsed.destinationText.toLowerCase()}`;
-    if (seen.has(key)) continue;
-    seen.add(key);
-
-    rates.push(parsed);
-  }
-
-  return rates;
-}
-
-// ── Insert rows into Supabase ──────────────────────
-async function insertToSupabase(rows) {
-  const res = await fetch(`${SUPABASE_URL}/rest/v1/scraped_rates`, {
-    method: 'POST',
-    headers: {
-      'apikey':        SUPABASE_KEY,
-      'Authorization': `Bearer ${SUPABASE_KEY}`,
-      'Content-Type':  'application/json',
-      'Prefer':        'return=minimal',
-    },
-    body: JSON.stringify(rows),
-  });
-
-  if (!res.ok) {
-    const err = await res.text();
-    throw new Error(`Supabase insert failed: ${res.status} ${err}`);
-  }
-}
-
-// ── Insert bunker prices into Supabase ─────────────
-async function insertBunkerPrices(rows) {
-  const res = await fetch(`${SUPABASE_URL}/rest/v1/bunker_prices`, {
-    method: 'POST',
-    headers: {
-      'apikey':        SUPABASE_KEY,
-      'Authorization': `Bearer ${SUPABASE_KEY}`,
-      'Content-Type':  'application/json',
-      'Prefer':        'return=minimal',
-    },
-    body: JSON.stringify(rows),
-  });
-
-  if (!res.ok) {
-    const err = await res.text();
-    throw new Error(`Bunker insert failed: ${res.status} ${err}`);
-  }
-}
+const { SOURCES, getSource, collect, runAll } = require('../lib/sources');
+const { runAlerts } = require('../lib/alerts');
 
-// ── Fetch and parse Ship & Bunker prices ───────────
-// The page renders VLSFO first, MGO second.
-// We look for table rows matching our 4 key hubs.
-const BUNKER_HUBS = ['Singapore', 'Rotterdam', 'Houston', 'Fujairah'];
-const BUNKER_SOURCE = 'https://shipandbunker.com/prices';
-
-async function scrapeBunkerPrices() {
-  const res = await fetch(BUNKER_SOURCE, {
-    headers: {
-      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
-      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-      'Accept-Language': 'en-US,en;q=0.5',
-    },
-  });
-  if (!res.ok) throw new Error(`Failed to fetch Ship & Bunker: ${res.status}`);
-  const html = await res.text();
-
-  // The page has two identical-structured tables — VLSFO then MGO.
-  // Each table row looks like:
-  //   <td ...>Singapore</td><td ...>516.00</td>...
-  // Strategy: find all table rows containing our hub names + a price,
-  // split into VLSFO/MGO by which table they appear in.
-
-  // Extract all <table> blocks
-  const tableMatches = [...html.matchAll(/<table[\s\S]*?<\/table>/gi)];
-  
-  const hubPrices = {}; // { hub: { vlsfo, mgo } }
-
-  let vlsfoTable = null, mgoTable = null;
-
-  // Find the two price tables — they contain 'Global 20 Ports Average'
-  for (const m of tableMatches) {
-    const t = m[0];
-    if (t.includes('Global 20 Ports Average') || t.includes('Singapore')) {
-      if (!vlsfoTable) { vlsfoTable = t; }
-      else if (!mgoTable) { mgoTable = t; break; }
-    }
-  }
-
-  // Parse a table for hub prices
-  function parseTable(tableHtml) {
-    const result = {};
-    if (!tableHtml) return result;
-    // Match rows: look for hub name followed by price
-    for (const hub of BUNKER_HUBS) {
-      // Pattern: hub name in a cell, followed by price in next cell
-      const re = new RegExp(hub + '[\\s\\S]{0,200}?>(\\d{3,4}\\.\\d{2})<', 'i');
-      const m = tableHtml.match(re);
-      if (m) result[hub] = parseFloat(m[1]);
-    }
-    return result;
-  }
-
-  const vlsfoPrices = parseTable(vlsfoTable);
-  const mgoPrices   = parseTable(mgoTable);
-
-  for (const hub of BUNKER_HUBS) {
-    if (vlsfoPrices[hub] || mgoPrices[hub]) {
-      hubPrices[hub] = {
-        vlsfo: vlsfoPrices[hub] || null,
-        mgo:   mgoPrices[hub]   || null,
-      };
-    }
-  }
-
-  return hubPrices;
-}
-
-// ── Main scrape function ───────────────────────────
-async function scrape() {
-  const today = new Date().toISOString().split('T')[0];
-
-  // Run HandyBulk and Ship & Bunker in parallel
-  const [hbResult, bunkerPrices] = await Promise.allSettled([
-    // HandyBulk TC rates
-    (async () => {
-      const res = await fetch(SOURCE_URL, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-          'Accept-Language': 'en-US,en;q=0.5',
-        },
-      });
-      if (!res.ok) throw new Error(`Failed to fetch HandyBulk: ${res.status}`);
-      const html = await res.text();
-      const parsed = parseRates(html);
-      if (parsed.length === 0) throw new Error('No rates found — page structure may have changed');
-      const rows = parsed.map(r => ({
-        scraped_date:        today,
-        vessel_type:         r.vesselType,
-        origin_text:         r.originText,
-        destination_text:    r.destinationText,
-        origin_region:       r.originRegion,
-        destination_region:  r.destinationRegion,
-        rate:                r.rate,
-        raw_line:            r.rawLine,
-      }));
-      await insertToSupabase(rows);
-      return { inserted: rows.length };
-    })(),
-
-    // Ship & Bunker bunker prices
-    (async () => {
-      const prices = await scrapeBunkerPrices();
-      const rows = Object.entries(prices).map(([hub, p]) => ({
-        scraped_date: today,
-        hub,
-        vlsfo: p.vlsfo,
-        mgo:   p.mgo,
-      }));
-      if (rows.length > 0) await insertBunkerPrices(rows);
-      return { hubs: rows.length, prices };
-    })(),
-  ]);
-
-  const tcResult     = hbResult.status     === 'fulfilled' ? hbResult.value     : { error: hbResult.reason?.message };
-  const bunkerResult = bunkerPrices.status === 'fulfilled' ? bunkerPrices.value : { error: bunkerPrices.reason?.message };
-
-  return {
-    date:   today,
-    tc:     tcResult,
-    bunker: bunkerResult,
-  };
-}
+const CRON_SECRET = process.env.CRON_SECRET; // protects this endpoint
+const ALERTS_DEADLINE_MS = 50000;
 
 // ── Vercel handler ─────────────────────────────────
 module.exports = async function handler(req, res) {
-  const urlSecret = new URL(req.url, 'https://x.com').searchParams.get('secret');
+  const started   = Date.now();
+  const params    = new URL(req.url, 'https://x.com').searchParams;
+  const urlSecret = params.get('secret');
   const auth = req.headers.authorization || '';
   const isVercelCron = req.headers['x-vercel-cron'] === '1';
   const isManual     = CRON_SECRET && auth === `Bearer ${CRON_SECRET}`;
@@ -449,35 +35,41 @@ module.exports = async function handler(req, res) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
-  // Debug mode: ?debug=1 — shows every line containing "fixed around"
+  // Debug mode: ?debug=1[&source=handybulk] — fetches and
+  // parses one source, showing what parsed and what failed,
   // without inserting anything into the DB
-  const isDebug = new URL(req.url, 'https://x.com').searchParams.get('debug') === '1';
-  if (isDebug) {
-    const pageRes = await fetch(SOURCE_URL, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-      },
-    });
-    const html = await pageRes.text();
-    const lines = html.split(/\n|<br\s*\/?>/i);
-    const matched = lines
-      .map(l => l.trim())
-      .filter(l => l.toLowerCase().includes('fixed around'));
-    const parsed = matched.map(l => {
-      const p = parseLine(l);
-      return { raw: l, parsed: p || 'FAILED TO PARSE' };
-    });
-    return res.json({ total: matched.length, lines: parsed });
+  if (params.get('debug') === '1') {
+    const name = params.get('source') || 'handybulk';
+    const src  = getSource(name);
+    if (!src) {
+      return res.status(400).json({ error: `Unknown source "${name}"`, sources: SOURCES.map(s => s.name) });
+    }
+    try {
+      const { items, failures } = await collect(src);
+      return res.json({ source: src.name, total: items.length + failures.length, parsed: items, failures });
+    } catch (err) {
+      return res.status(502).json({ source: src.name, error: err.message });
+    }
   }
 
   try {
-    const result = await scrape();
-    console.log(`[scrape] ${result.date}: TC=${JSON.stringify(result.tc)} bunker=${JSON.stringify(result.bunker)}`);
-    res.json({ success: true, ...result });
+    const result = await runAll();
+    const summary = result.sources
+      .map(r => `${r.source}=${r.status}:${r.rowCount}`)
+      .join(' ');
+    console.log(`[scrape] ${result.date}: ${summary}`);
+
+    let alerts = null;
+    try {
+      alerts = await runAlerts(result.date, { deadline: started + ALERTS_DEADLINE_MS });
+      console.log(`[scrape] alerts: ${Object.entries(alerts).map(([k, v]) => `${k}=${v}`).join(' ')}`);
+    } catch (err) {
+      console.error('[scrape] alerts error:', err.message);
+      alerts = { error: err.message };
+    }
+    res.json({ success: true, ...result, alerts });
   } catch (err) {
     console.error('[scrape] error:', err.message);
     res.status(500).json({ success: false, error: err.message });
   }
 }
-
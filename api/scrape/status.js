@@ -0,0 +1,114 @@
+// ══════════════════════════════════════════════════
+// api/scrape/status.js
+// Health view over scrape_runs: one entry per source
+// with its latest run, usual row count and warnings.
+//
+// Warns when a source:
+//   - failed or returned zero rows on its latest run
+//   - returned well below its usual count (< DROP_RATIO
+//     of the median over its last BASELINE_RUNS good runs)
+//   - has not run for STALE_HOURS
+//
+// ?strict=1 answers 503 when any source has a warning,
+// for uptime monitors.
+// ══════════════════════════════════════════════════
+
+const { SOURCES } = require('../../lib/sources');
+const { openStore } = require('../../lib/storage');
+
+const LOOKBACK_DAYS = 30;
+const BASELINE_RUNS = 14;
+const DROP_RATIO    = 0.5;
+const STALE_HOURS   = 36;
+
+function median(nums) {
+  if (nums.length === 0) return null;
+  const s = [...nums].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : Math.round((s[mid - 1] + s[mid]) / 2);
+}
+
+// runs: this source's rows, newest first
+function sourceHealth(name, kind, runs, now) {
+  const warnings = [];
+  const latest = runs[0] || null;
+
+  if (!latest) {
+    return { source: name, kind, lastRunAt: null, lastStatus: null, rowCount: null,
+             usualRowCount: null, failureCount: null, failureSamples: [],
+             warnings: ['No runs recorded'], history: [] };
+  }
+
+  const baseline = median(runs.slice(1)
+    .filter(r => r.status === 'ok')
+    .slice(0, BASELINE_RUNS)
+    .map(r => r.row_count));
+
+  if (latest.status === 'error') {
+    warnings.push(`Last run failed: ${latest.error}`);
+  } else if (latest.row_count === 0) {
+    warnings.push('Last run returned zero rows — page structure may have changed');
+  } else if (baseline && latest.row_count < baseline * DROP_RATIO) {
+    warnings.push(`Last run returned ${latest.row_count} rows, usually ~${baseline}`);
+  }
+
+  const ageHours = (now - new Date(latest.run_at).getTime()) / 3600000;
+  if (ageHours > STALE_HOURS) warnings.push(`No run for ${Math.round(ageHours)}h`);
+
+  return {
+    source:         name,
+    kind,
+    lastRunAt:      latest.run_at,
+    lastStatus:     latest.status,
+    rowCount:       latest.row_count,
+    usualRowCount:  baseline,
+    failureCount:   latest.failure_count,
+    failureSamples: latest.failure_samples || [],
+    warnings,
+    history:        runs.map(r => ({ runAt: r.run_at, status: r.status, rowCount: r.row_count })),
+  };
+}
+
+module.exports = async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET');
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const strict = new URL(req.url, 'https://x.com').searchParams.get('strict') === '1';
+
+  try {
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - LOOKBACK_DAYS);
+
+    const rows = await openStore('read').select('scrape_runs', {
+      select: 'run_at,source,kind,status,row_count,failure_count,failure_samples,error',
+      where:  [['run_at', 'gte', cutoff.toISOString()]],
+      order:  [['run_at', 'desc']],
+      limit:  1000,
+    });
+
+    // Registered sources first, then any retired source
+    // that still has runs in the window
+    const kinds = new Map(SOURCES.map(s => [s.name, s.kind]));
+    for (const r of rows) if (!kinds.has(r.source)) kinds.set(r.source, r.kind);
+
+    const now = Date.now();
+    const sources = [...kinds].map(([name, kind]) =>
+      sourceHealth(name, kind, rows.filter(r => r.source === name), now));
+    const healthy = sources.every(s => s.warnings.length === 0);
+
+    res.status(strict && !healthy ? 503 : 200).json({
+      success:   true,
+      healthy,
+      checkedAt: new Date(now).toISOString(),
+      sources,
+    });
+
+  } catch (err) {
+    console.error('[scrape/status] error:', err.message);
+    res.status(500).json({ success: false, error: err.message, sources: [] });
+  }
+}
@@ -0,0 +1,175 @@
+// ══════════════════════════════════════════════════
+// lib/estimate.js
+// Blends every scraped_rates row for one lane
+// (vessel/origin region/destination region) into a
+// single rate estimate.
+//
+//   weight  = 0.5 ^ (daysOld / HALF_LIFE_DAYS) × source weight
+//   outliers rejected against the weighted median (MAD)
+//   rate    = weighted mean of the rest
+//
+// An observation is a distinct fixture: rows with the
+// same vessel type, origin_text, destination_text and
+// rate — a line the source reprints day after day —
+// collapse to the newest before weighting. Distinct
+// origin/destination texts under one region pair count
+// separately.
+//
+// Confidence starts from the freshness tier of the
+// newest observation used, then is scaled by the
+// recency-weighted mean source weight, how many
+// observations back the estimate and how tightly they
+// agree.
+// ══════════════════════════════════════════════════
+
+const TIER1_DAYS = 3;
+const TIER2_DAYS = 14;
+const TIER3_DAYS = 45;
+
+// Rows inserted before the source column existed are HandyBulk
+const DEFAULT_SOURCE = 'handybulk';
+const SOURCE_WEIGHT  = {
+  handybulk: 1.00,
+  crowd:     0.85,
+};
+
+const HALF_LIFE_DAYS = 10;
+
+// Outlier rejection — only with enough rows to judge
+const MIN_FOR_OUTLIERS = 3;
+const OUTLIER_MADS     = 3;     // reject beyond 3 robust SDs of the median
+const MIN_SCALE_PCT    = 0.03;  // …but never tighter than ±3% × 3 = ±9%
+
+// Confidence scaling
+const FULL_DENSITY_N     = 5;    // effective observations for no density penalty
+const MIN_DENSITY_FACTOR = 0.80; // a single observation
+const DISPERSION_PENALTY = 5;    // confidence lost per unit relative std error
+const MIN_DISPERSION_FACTOR = 0.60;
+
+const DAY_MS = 86400000;
+
+function getTierAndConfidence(daysOld) {
+  if (daysOld <= TIER1_DAYS) return { tier: 1, confidence: 95 };
+  if (daysOld <= TIER2_DAYS) return { tier: 2, confidence: 75 };
+  if (daysOld <= TIER3_DAYS) return { tier: 3, confidence: 50 };
+  return { tier: 4, confidence: 30 };
+}
+
+// ── Weighted median of [{ value, weight }] ────────
+function weightedMedian(points) {
+  const sorted = [...points].sort((a, b) => a.value - b.value);
+  const half = sorted.reduce((s, p) => s + p.weight, 0) / 2;
+  let acc = 0;
+  for (const p of sorted) {
+    acc += p.weight;
+    if (acc >= half) return p.value;
+  }
+  return sorted[sorted.length - 1].value;
+}
+
+// ── One row per distinct fixture ───────────────────
+// The newest row of each reprinted fixture
+function distinctFixtures(rows) {
+  const newest = new Map();
+  for (const row of rows) {
+    const key = [row.vessel_type, row.origin_text, row.destination_text, row.rate]
+      .map(v => String(v ?? '').trim().toLowerCase()).join('|');
+    const seen = newest.get(key);
+    if (!seen || row.scraped_date > seen.scraped_date) newest.set(key, row);
+  }
+  return [...newest.values()];
+}
+
+// ── Blend one lane's rows ──────────────────────────
+// rows: scraped_rates rows for a single lane key.
+// Returns null if rows is empty.
+function estimateRate(rows, today) {
+  if (!rows.length) return null;
+  const todayMs = new Date(today).getTime();
+
+  const obs = distinctFixtures(rows).map(row => {
+    const daysOld = Math.round((todayMs - new Date(row.scraped_date).getTime()) / DAY_MS);
+    const source  = row.source || DEFAULT_SOURCE;
+    const recency = Math.pow(0.5, Math.max(daysOld, 0) / HALF_LIFE_DAYS);
+    return {
+      row,
+      source,
+      daysOld,
+      recency,
+      value:  row.rate,
+      weight: recency * (SOURCE_WEIGHT[source] ?? 1),
+    };
+  });
+
+  // Outliers: distance from the weighted median in robust
+  // SDs (1.4826 × MAD), with a floor so a lane that has
+  // printed the same number for a week does not reject
+  // a fixture a few hundred dollars away
+  let kept = obs, rejected = [];
+  if (obs.length >= MIN_FOR_OUTLIERS) {
+    const median = weightedMedian(obs);
+    const mad    = weightedMedian(obs.map(o => ({ value: Math.abs(o.value - median), weight: o.weight })));
+    const scale  = Math.max(1.4826 * mad, median * MIN_SCALE_PCT);
+    kept     = obs.filter(o => Math.abs(o.value - median) <= OUTLIER_MADS * scale);
+    rejected = obs.filter(o => Math.abs(o.value - median) >  OUTLIER_MADS * scale);
+  }
+
+  const sumW  = kept.reduce((s, o) => s + o.weight, 0);
+  const sumW2 = kept.reduce((s, o) => s + o.weight * o.weight, 0);
+  const mean  = kept.reduce((s, o) => s + o.weight * o.value, 0) / sumW;
+  const effectiveN = (sumW * sumW) / sumW2;
+
+  // Weighted SD with the effective-sample-size correction;
+  // undefined for a single observation
+  let stdDev = null, stdError = null;
+  if (kept.length > 1 && effectiveN > 1) {
+    const variance = kept.reduce((s, o) => s + o.weight * (o.value - mean) ** 2, 0) / sumW;
+    stdDev   = Math.sqrt(variance * effectiveN / (effectiveN - 1));
+    stdError = stdDev / Math.sqrt(effectiveN);
+  }
+
+  // Newest observation used — drives tier, dates and the
+  // example fixture text shown in the calculator
+  const newest = kept.reduce((a, b) => (b.daysOld < a.daysOld ? b : a));
+  const { tier, confidence: tierConfidence } = getTierAndConfidence(newest.daysOld);
+
+  // Weighted by recency alone — o.weight already has the
+  // source weight in it, and would count it twice
+  const sumRecency       = kept.reduce((s, o) => s + o.recency, 0);
+  const sourceFactor     = kept.reduce((s, o) => s + o.recency * (SOURCE_WEIGHT[o.source] ?? 1), 0) / sumRecency;
+  const densityFactor    = MIN_DENSITY_FACTOR +
+    (1 - MIN_DENSITY_FACTOR) * Math.min(1, (effectiveN - 1) / (FULL_DENSITY_N - 1));
+  const dispersionFactor = stdError === null ? 1 :
+    Math.max(MIN_DISPERSION_FACTOR, 1 - DISPERSION_PENALTY * stdError / mean);
+
+  const values = kept.map(o => o.value);
+  const sources = {};
+  for (const o of kept) sources[o.source] = (sources[o.source] || 0) + 1;
+
+  return {
+    rate:        Math.round(mean),
+    confidence:  Math.round(tierConfidence * sourceFactor * densityFactor * dispersionFactor),
+    tier,
+    daysOld:     newest.daysOld,
+    scrapedDate: newest.row.scraped_date,
+    newest:      newest.row,
+    source:      newest.source,
+    sources,
+    observations: kept.length,
+    rejected:    rejected.map(o => ({ rate: o.value, scrapedDate: o.row.scraped_date, rawLine: o.row.raw_line })),
+    effectiveN:  Math.round(effectiveN * 10) / 10,
+    stdDev:      stdDev   === null ? null : Math.round(stdDev),
+    stdError:    stdError === null ? null : Math.round(stdError),
+    min:         Math.min(...values),
+    max:         Math.max(...values),
+  };
+}
+
+module.exports = {
+  TIER3_DAYS,
+  DEFAULT_SOURCE,
+  SOURCE_WEIGHT,
+  getTierAndConfidence,
+  distinctFixtures,
+  estimateRate,
+};
@@ -0,0 +1,54 @@
+// ══════════════════════════════════════════════════
+// lib/export.js
+// Response helpers for the read APIs: CSV output for
+// spreadsheets and ETag / If-None-Match handling.
+//
+// The ETag is computed over the response content only
+// (never fetchedAt), so an unchanged dataset revalidates
+// with a 304 however often it is polled.
+// ══════════════════════════════════════════════════
+
+const crypto = require('crypto');
+
+// ── CSV ────────────────────────────────────────────
+// columns: [{ name, get(row) }] — name is the header,
+// and headers are part of the API: add, never rename.
+function csvCell(v) {
+  if (v === null || v === undefined) return '';
+  let s = String(v);
+  // Text a spreadsheet would run as a formula (scraped
+  // raw lines are untrusted) is quoted as text
+  if (typeof v === 'string' && /^[=+\-@\t]/.test(s)) s = "'" + s;
+  return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+function toCsv(rows, columns) {
+  const lines = [columns.map(c => c.name).join(',')];
+  for (const row of rows) lines.push(columns.map(c => csvCell(c.get(row))).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+// ── Output format ──────────────────────────────────
+// ?format= wins; otherwise the Accept header, then JSON.
+function pickFormat(req, params, formats) {
+  const asked = (params.get('format') || '').toLowerCase();
+  if (asked) return formats.includes(asked) ? asked : null;
+  const accept = (req.headers && req.headers.accept) || '';
+  if (formats.includes('csv') && /text\/csv/i.test(accept)) return 'csv';
+  return formats[0];
+}
+
+// ── ETag ───────────────────────────────────────────
+function etagFor(content) {
+  return '"' + crypto.createHash('sha1').update(content).digest('base64url') + '"';
+}
+
+// True when the client already holds this version
+function notModified(req, etag) {
+  const header = req.headers && req.headers['if-none-match'];
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+  return header.split(',').map(t => t.trim().replace(/^W\//, '')).includes(etag);
+}
+
+module.exports = { toCsv, pickFormat, etagFor, notModified };
@@ -0,0 +1,241 @@
+// ══════════════════════════════════════════════════
+// lib/freightindex.js
+// The DryFreight Index: a daily, transaction-based
+// time-charter average per vessel class, built only
+// from fixtures in scraped_rates.
+//
+// Basket (app/data/indexbasket.json, published with
+// the calculator): for each class a list of lanes with
+// weights, and a weight per class in the composite.
+// Weights are normalised over whatever is priced, so
+// they need not sum to exactly 1.
+//
+// Each basket lane is priced on the index date by the
+// first rule that applies:
+//   fixture  the lane's blended estimate (lib/estimate)
+//            whose newest fixture is at most FRESH_DAYS
+//            old
+//   carried  the lane's previous published rate, moved
+//            by the class's fixture lanes — the weighted
+//            mean of their rate / previous rate
+//   stale    the lane's blended estimate, when it has
+//            never been published before
+//   missing  no fixture in the last MAX_CARRY_DAYS —
+//            left out, weights renormalised
+// so a lane is carried or stale for at most
+// MAX_CARRY_DAYS after its newest fixture.
+//
+// A class with no lane priced by fixture is stale: it
+// publishes no value that day (nor a link, so it drops
+// out of the composite) rather than repeat its last
+// one as if current.
+//
+// Class value  = weighted mean lane rate, $/day
+// Coverage     = share of class weight priced by fixture
+// Class link   = Σ w × rate / Σ w × previous rate, over
+//                lanes priced on both days — so a lane
+//                entering or leaving the class does not
+//                move the composite
+// Composite    = chain-linked points, 1000 on the first
+//                day published:
+//                  prev × Σ W(c) × link(c) / Σ W(c)
+//                over classes with a link
+//
+// Stored in index_values (date, class, value, coverage,
+// lanes_fixture, lanes_used, lanes_total,
+// basket_version — class COMPOSITE for the composite)
+// and index_contributions (date, class, origin_region,
+// destination_region, weight, rate, method,
+// observations, days_old). Both upsert on their key,
+// so re-running a day replaces it.
+// ══════════════════════════════════════════════════
+
+const basket = require('../app/data/indexbasket.json');
+const { TIER3_DAYS, estimateRate } = require('./estimate');
+const { openStore } = require('./storage');
+
+const COMPOSITE    = 'COMPOSITE';
+const BASE_POINTS  = 1000;
+const FRESH_DAYS   = 3;   // same as tier 1 in /api/rates
+const MAX_CARRY_DAYS = 14; // same as tier 2
+
+const laneKey = (vt, oR, dR) => `${vt}|${oR}|${dR}`;
+const round2  = n => Math.round(n * 100) / 100;
+
+// ── Price one class ────────────────────────────────
+// byLane: laneKey → scraped_rates rows
+// prev:   laneKey → previous contribution rate
+function priceClass(vt, byLane, prev, date) {
+  const lanes = basket.classes[vt].map(l => {
+    const rows = byLane.get(laneKey(vt, l.oR, l.dR)) || [];
+    return { ...l, est: estimateRate(rows, date), prevRate: prev.get(laneKey(vt, l.oR, l.dR)) ?? null };
+  });
+
+  // Class move, from lanes fixed today that were also
+  // published last time
+  let moveW = 0, moveSum = 0;
+  for (const l of lanes) {
+    if (l.est && l.est.daysOld <= FRESH_DAYS && l.prevRate) {
+      moveW   += l.weight;
+      moveSum += l.weight * l.est.rate / l.prevRate;
+    }
+  }
+  const move = moveW ? moveSum / moveW : 1;
+
+  const contributions = lanes.map(l => {
+    let rate = null, method = 'missing';
+    const recent = l.est && l.est.daysOld <= MAX_CARRY_DAYS;
+    if (l.est && l.est.daysOld <= FRESH_DAYS) { rate = l.est.rate; method = 'fixture'; }
+    else if (recent && l.prevRate)             { rate = Math.round(l.prevRate * move); method = 'carried'; }
+    else if (recent)                           { rate = l.est.rate; method = 'stale'; }
+    return {
+      class:              vt,
+      origin_region:      l.oR,
+      destination_region: l.dR,
+      weight:             l.weight,
+      rate,
+      method,
+      observations:       l.est ? l.est.observations : 0,
+      days_old:           l.est ? l.est.daysOld : null,
+    };
+  });
+
+  const sumW = list => list.reduce((s, c) => s + c.weight, 0);
+  const lanesFixture = contributions.filter(c => c.method === 'fixture').length;
+  if (!lanesFixture) {
+    return { value: null, stale: true, coverage: 0, link: null,
+             lanesFixture: 0, lanesUsed: 0, lanesTotal: contributions.length, contributions };
+  }
+  const used = contributions.filter(c => c.rate !== null);
+  let linkNow = 0, linkPrev = 0;
+  contributions.forEach((c, i) => {
+    if (c.rate !== null && lanes[i].prevRate) {
+      linkNow  += c.weight * c.rate;
+      linkPrev += c.weight * lanes[i].prevRate;
+    }
+  });
+  const usedW = sumW(used);
+  const value = usedW ? Math.round(used.reduce((s, c) => s + c.weight * c.rate, 0) / usedW) : null;
+  const coverage = round2(sumW(used.filter(c => c.method === 'fixture')) / sumW(contributions));
+  // Stored weight is the effective one, after renormalising
+  for (const c of contributions) c.weight = c.rate === null ? 0 : round2(c.weight / usedW);
+
+  return {
+    value,
+    stale:         false,
+    coverage,
+    link:          linkPrev ? linkNow / linkPrev : null,
+    lanesFixture,
+    lanesUsed:     used.length,
+    lanesTotal:    contributions.length,
+    contributions,
+  };
+}
+
+// ── Compute the index for one date ─────────────────
+// rows:     scraped_rates rows in [date - TIER3_DAYS, date]
+// previous: { values: { class → value }, contributions:
+//             [{ class, origin_region, destination_region,
+//             rate }] } from the last published day, or null
+// Pure — no I/O.
+function computeIndex(date, rows, previous) {
+  const byLane = new Map();
+  for (const row of rows) {
+    const key = laneKey(row.vessel_type, row.origin_region, row.destination_region);
+    if (!byLane.has(key)) byLane.set(key, []);
+    byLane.get(key).push(row);
+  }
+  const prev = new Map();
+  for (const c of (previous && previous.contributions) || []) {
+    if (c.rate !== null) prev.set(laneKey(c.class, c.origin_region, c.destination_region), c.rate);
+  }
+
+  const classes = {};
+  for (const vt of Object.keys(basket.classes)) classes[vt] = priceClass(vt, byLane, prev, date);
+
+  // Composite, chain-linked on the previous day
+  const prevValues = (previous && previous.values) || {};
+  let composite = BASE_POINTS;
+  if (prevValues[COMPOSITE]) {
+    let w = 0, sum = 0;
+    for (const [vt, W] of Object.entries(basket.classWeights)) {
+      if (classes[vt] && classes[vt].link) {
+        w   += W;
+        sum += W * classes[vt].link;
+      }
+    }
+    composite = w ? round2(prevValues[COMPOSITE] * sum / w) : prevValues[COMPOSITE];
+  }
+  const compositeCoverage = round2(Object.entries(basket.classWeights)
+    .reduce((s, [vt, W]) => s + W * (classes[vt] ? classes[vt].coverage : 0), 0) /
+    Object.values(basket.classWeights).reduce((s, W) => s + W, 0));
+
+  return { date, basketVersion: basket.version, composite, compositeCoverage, classes };
+}
+
+// Last published day before `date`
+async function loadPrevious(store, date) {
+  const last = await store.select('index_values', {
+    select: 'date',
+    where:  [['class', 'eq', COMPOSITE], ['date', 'lt', date]],
+    order:  [['date', 'desc']],
+    limit:  1,
+  });
+  if (!last.length) return null;
+  const prevDate = last[0].date;
+  const [values, contributions] = await Promise.all([
+    store.select('index_values', { select: 'class,value', where: [['date', 'eq', prevDate]], order: [['class']] }),
+    store.select('index_contributions', {
+      select: 'class,origin_region,destination_region,rate',
+      where:  [['date', 'eq', prevDate]],
+      order:  [['class'], ['origin_region'], ['destination_region']],
+    }),
+  ]);
+  return { date: prevDate, values: Object.fromEntries(values.map(v => [v.class, v.value])), contributions };
+}
+
+// ── Build and store the index for one date ─────────
+async function runIndex(date) {
+  const from = new Date(date);
+  from.setDate(from.getDate() - TIER3_DAYS);
+  const fromStr = from.toISOString().split('T')[0];
+  const classes = Object.keys(basket.classes);
+
+  const store = openStore('write');
+
+  const [rows, previous] = await Promise.all([
+    store.select('scraped_rates', {
+      select: 'vessel_type,origin_region,destination_region,origin_text,destination_text,rate,scraped_date,source,raw_line',
+      where:  [['vessel_type', 'in', classes], ['scraped_date', 'gte', fromStr], ['scraped_date', 'lte', date]],
+      order:  [['scraped_date', 'desc'], ['vessel_type'], ['origin_region'], ['destination_region'], ['raw_line']],
+    }),
+    loadPrevious(store, date),
+  ]);
+
+  const index = computeIndex(date, rows, previous);
+  if (!Object.values(index.classes).some(c => c.value !== null)) {
+    throw new Error(`No basket lane has a fixture in the ${FRESH_DAYS} days to ${date} — every class is stale`);
+  }
+
+  const values = [{
+    date, class: COMPOSITE, value: index.composite, coverage: index.compositeCoverage,
+    lanes_fixture: null, lanes_used: null, lanes_total: null, basket_version: index.basketVersion,
+  }];
+  const contributions = [];
+  for (const [vt, c] of Object.entries(index.classes)) {
+    if (c.value === null) continue;
+    values.push({
+      date, class: vt, value: c.value, coverage: c.coverage,
+      lanes_fixture: c.lanesFixture, lanes_used: c.lanesUsed, lanes_total: c.lanesTotal,
+      basket_version: index.basketVersion,
+    });
+    for (const row of c.contributions) contributions.push({ date, ...row });
+  }
+
+  await store.upsert('index_values', values, ['date', 'class']);
+  await store.upsert('index_contributions', contributions, ['date', 'class', 'origin_region', 'destination_region']);
+
+  return { ...index, previousDate: previous ? previous.date : null, fixtureRows: rows.length };
+}
+
+module.exports = { basket, COMPOSITE, FRESH_DAYS, MAX_CARRY_DAYS, computeIndex, runIndex };
@@ -0,0 +1,444 @@
+// ══════════════════════════════════════════════════
+// lib/recap.js
+// Parses free-text broker recaps (WhatsApp, email)
+// into a structured fixture.
+//
+// parseLine() in api/scrape.js only understands the
+// HandyBulk "X open A to B fixed around $N" shape.
+// Recaps are messier, e.g.
+//   "Ultramax 63k dwt open Santos 5-10 Nov fixed grains
+//    to Qingdao $18,250 + $825k bb via cape"
+// and often span several lines.
+//
+// Every field comes back as
+//   { value, confidence (0–1), text, reason }
+// where `text` is the fragment the value came from and
+// `reason` says why a field was left empty (or why its
+// confidence is low).
+// ══════════════════════════════════════════════════
+
+const PORTS = require('../app/data/ports.json');
+
+// ── Vessel class words → our vessel type ───────────
+// Order matters: longer/more specific words first.
+const VESSEL_WORDS = [
+  ['newcastlemax', 'CAPESIZE'],
+  ['capesize',     'CAPESIZE'],
+  ['cape size',    'CAPESIZE'],
+  ['post-panamax', 'PANAMAX'],
+  ['kamsarmax',    'PANAMAX'],
+  ['panamax',      'PANAMAX'],
+  ['ultramax',     'ULTRAMAX'],
+  ['supramax',     'SUPRAMAX'],
+  ['handymax',     'SUPRAMAX'],
+  ['handysize',    'HANDY'],
+  ['handy',        'HANDY'],
+  ['kmx',          'PANAMAX'],
+  ['pmx',          'PANAMAX'],
+  ['umx',          'ULTRAMAX'],
+  ['smx',          'SUPRAMAX'],
+  ['hsz',          'HANDY'],
+];
+
+// DWT bands used when only a DWT is given
+const DWT_BANDS = [
+  { v: 'HANDY',    min: 10000,  max: 39999  },
+  { v: 'SUPRAMAX', min: 40000,  max: 59999  },
+  { v: 'ULTRAMAX', min: 60000,  max: 66999  },
+  { v: 'PANAMAX',  min: 67000,  max: 99999  },
+  { v: 'CAPESIZE', min: 100000, max: 450000 },
+];
+
+// ── Cargo words → commodities.json key ─────────────
+// A third element marks a cargo with no profile of its
+// own: it takes the default, with low confidence.
+const CARGO_WORDS = [
+  ['iron ore',    'iron_ore'],
+  ['wood pellets','woodchips'],
+  ['woodchips',   'woodchips'],
+  ['wood chips',  'woodchips'],
+  ['biomass',     'woodchips'],
+  ['pellets',     'iron_ore'],
+  ['ore',         'iron_ore'],
+  ['coal',        'coal'],
+  ['grains',      'grain'],
+  ['grain',       'grain'],
+  ['wheat',       'grain'],
+  ['corn',        'grain'],
+  ['maize',       'grain'],
+  ['soybeans',    'grain'],
+  ['soya',        'grain'],
+  ['sbm',         'grain'],
+  ['barley',      'grain'],
+  ['fertilizers', 'fertilizer'],
+  ['fertilizer',  'fertilizer'],
+  ['ferts',       'fertilizer'],
+  ['urea',        'fertilizer'],
+  ['phosphate',   'fertilizer'],
+  ['potash',      'fertilizer'],
+  ['bauxite',     'bauxite'],
+  ['alumina',     'bauxite'],
+  ['sugar',       'sugar'],
+  ['clinker',     'cement'],
+  ['cement',      'cement'],
+  ['pet coke',    'petcoke'],
+  ['petcoke',     'petcoke'],
+  ['scrap',       'default', 'No scrap profile — default handling and stowage'],
+  ['steels',      'default', 'No steels profile — default handling and stowage'],
+  ['steel',       'default', 'No steels profile — default handling and stowage'],
+];
+
+// Broker shorthand for ports that ports.json spells out
+const PORT_ALIASES = {
+  'nola':      'New Orleans',
+  'pdm':       'Ponta da Madeira',
+  'xingang':   'Tianjin (Xingang)',
+  'nansha':    'Guangzhou (Nansha)',
+  'kobe':      'Osaka / Kobe',
+  'osaka':     'Osaka / Kobe',
+  'jebel ali': 'Dubai (Jebel Ali)',
+  'umm qasr':  'Basra (Umm Qasr)',
+};
+
+// Canals/capes that show up as "via X"
+const ROUTE_WORDS = [
+  ['cape of good hope', 'CAPE'],
+  ['cogh',              'CAPE'],
+  ['cape',              'CAPE'],
+  ['suez',              'SUEZ'],
+  ['panama',            'PANAMA'],
+  ['gibraltar',         'GIBRALTAR'],
+  ['malacca',           'MALACCA'],
+  ['bosphorus',         'BOSPHORUS'],
+];
+
+const MONTHS = ['jan','feb','mar','apr','may','jun','jul','aug','sep','oct','nov','dec'];
+
+// Words that precede a load / discharge port
+const LOAD_CUES  = ['open', 'spot', 'dely', 'delivery', 'del', 'aps', 'load', 'loading', 'lp', 'from', 'ex', 'basis'];
+const DISCH_CUES = ['to', 'redel', 'redelivery', 'disch', 'discharge', 'dp', 'for', 'into', 'dest'];
+
+const escapeRe = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// ── Port name index ────────────────────────────────
+// Each port is findable by its full name, by each side
+// of "A / B", and by a parenthetical alias — except
+// when the parenthetical is a country disambiguator
+// such as "Newcastle (Australia)".
+const PORT_COUNTRIES = new Set(PORTS.map(p => p.country.toLowerCase()));
+
+function buildPortIndex() {
+  const byName = new Map();
+  const add = (name, port, exact) => {
+    const key = name.toLowerCase().trim();
+    if (key.length < 3) return;
+    const prev = byName.get(key);
+    if (!prev || (exact && !prev.exact)) byName.set(key, { port, exact });
+  };
+
+  for (const p of PORTS) {
+    add(p.name, p, true);
+    const paren = p.name.match(/^(.*?)\s*\((.*)\)\s*$/);
+    const base  = paren ? paren[1] : p.name;
+    add(base, p, false);
+    if (paren && !PORT_COUNTRIES.has(paren[2].toLowerCase())) add(paren[2], p, false);
+    if (base.includes('/')) for (const part of base.split('/')) add(part, p, false);
+  }
+  for (const [alias, name] of Object.entries(PORT_ALIASES)) {
+    const hit = byName.get(name.toLowerCase());
+    if (hit) add(alias, hit.port, false);
+  }
+
+  // Longest names first so "Port Hedland" wins over "Hedland"
+  const names = [...byName.keys()].sort((a, b) => b.length - a.length);
+  return { byName, names };
+}
+
+const PORT_INDEX = buildPortIndex();
+
+// ── Normalise the raw recap ────────────────────────
+// Multi-line recaps are flattened so cues and values
+// on neighbouring lines still connect ("Del Santos" on
+// one line, "Redel Qingdao" on the next).
+function normalise(text) {
+  return String(text || '')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/[•·*_]/g, ' ')
+    .replace(/\u00a0/g, ' ')
+    .replace(/[\r\n]+/g, ' \n ')
+    .replace(/[ \t]+/g, ' ')
+    .trim();
+}
+
+// Parse "18,250" / "18.25k" / "825k" / "1.2m" into a number
+function parseAmount(num, suffix) {
+  let n = parseFloat(num.replace(/,/g, ''));
+  if (isNaN(n)) return null;
+  const s = (suffix || '').toLowerCase();
+  if (s === 'k') n *= 1000;
+  if (s === 'm') n *= 1000000;
+  return Math.round(n);
+}
+
+const empty  = reason => ({ value: null, confidence: 0, text: null, reason });
+const found  = (value, confidence, text, reason = null) => ({ value, confidence, text, reason });
+
+// ══════════════════════════════════════════════════
+// FIELD EXTRACTORS
+// ══════════════════════════════════════════════════
+
+function extractDwt(t) {
+  const m = t.match(/(\d{1,3}(?:[.,]\d{1,3})?)\s*(k)?\s*(?:mt\s*)?dwt\b/i)
+         || t.match(/\bdwt\s*:?\s*(\d{1,3}(?:[.,]\d{1,3})?)\s*(k)?/i);
+  if (!m) return empty('No DWT found');
+  let dwt = parseAmount(m[1], m[2]);
+  if (dwt < 1000) dwt *= 1000;  // "63 dwt" in shorthand means 63k
+  if (dwt < 5000 || dwt > 450000) return empty(`DWT ${m[0]} out of range`);
+  return found(dwt, 0.95, m[0].trim());
+}
+
+function extractVessel(t, dwt) {
+  const tl = t.toLowerCase();
+  for (const [word, type] of VESSEL_WORDS) {
+    const m = tl.match(new RegExp(`\\b${escapeRe(word)}\\b`));
+    if (m) return found(type, word.length <= 3 ? 0.8 : 0.95, word);
+  }
+  if (dwt.value) {
+    const band = DWT_BANDS.find(b => dwt.value >= b.min && dwt.value <= b.max);
+    if (band) return found(band.v, 0.7, dwt.text, 'Inferred from DWT');
+  }
+  return empty('No vessel class or DWT found');
+}
+
+function extractCargo(t) {
+  const tl = t.toLowerCase();
+  for (const [word, key, reason] of CARGO_WORDS) {
+    const m = tl.match(new RegExp(`\\b${escapeRe(word)}\\b`));
+    if (m) return reason ? found(key, 0.3, word, reason) : found(key, 0.9, word);
+  }
+  return empty('No cargo named');
+}
+
+// ── Laycan ─────────────────────────────────────────
+// Handles "5-10 Nov", "5/10 Nov", "Nov 5-10", "10 Nov",
+// "early/mid/end Nov". Years are inferred from `now`:
+// a month more than two months in the past rolls to
+// next year (a December recap for "5-10 Jan").
+function resolveYear(monthIdx, now) {
+  const year = now.getUTCFullYear();
+  const diff = monthIdx - now.getUTCMonth();
+  return diff < -2 ? year + 1 : diff > 9 ? year - 1 : year;
+}
+
+function isoDate(year, monthIdx, day) {
+  const d = new Date(Date.UTC(year, monthIdx, day));
+  if (d.getUTCMonth() !== monthIdx) return null; // e.g. 31 Nov
+  return d.toISOString().split('T')[0];
+}
+
+function extractLaycan(t, now) {
+  const mon = '(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*';
+  let m, from, to, conf, monthIdx;
+
+  if ((m = t.match(new RegExp(`\\b(\\d{1,2})\\s*(?:-|/|to)\\s*(\\d{1,2})\\s*${mon}\\b`, 'i')))) {
+    monthIdx = MONTHS.indexOf(m[3].toLowerCase().slice(0, 3));
+    from = +m[1]; to = +m[2]; conf = 0.9;
+  } else if ((m = t.match(new RegExp(`\\b${mon}\\s*(\\d{1,2})\\s*(?:-|/|to)\\s*(\\d{1,2})\\b`, 'i')))) {
+    monthIdx = MONTHS.indexOf(m[1].toLowerCase().slice(0, 3));
+    from = +m[2]; to = +m[3]; conf = 0.9;
+  } else if ((m = t.match(new RegExp(`\\b(early|beg|mid|end|late)\\s*${mon}\\b`, 'i')))) {
+    monthIdx = MONTHS.indexOf(m[2].toLowerCase().slice(0, 3));
+    const part = m[1].toLowerCase();
+    const last = new Date(Date.UTC(2001, monthIdx + 1, 0)).getUTCDate();
+    [from, to] = (part === 'early' || part === 'beg') ? [1, 10]
+               : part === 'mid' ? [11, 20]
+               : [21, last];
+    conf = 0.5;
+  } else if ((m = t.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s*${mon}\\b`, 'i')))) {
+    monthIdx = MONTHS.indexOf(m[2].toLowerCase().slice(0, 3));
+    from = to = +m[1]; conf = 0.7;
+  } else if ((m = t.match(/\b(spot|prompt|ppt)\b/i))) {
+    const d = now.toISOString().split('T')[0];
+    return found({ from: d, to: d }, 0.4, m[0], 'Spot/prompt — laycan taken as today');
+  } else {
+    return empty('No laycan dates found');
+  }
+
+  if (from > to) return empty(`Laycan "${m[0]}" runs backwards`);
+  const year = resolveYear(monthIdx, now);
+  const fromIso = isoDate(year, monthIdx, from);
+  const toIso   = isoDate(year, monthIdx, to);
+  if (!fromIso || !toIso) return empty(`Laycan "${m[0]}" is not a real date`);
+  return found({ from: fromIso, to: toIso }, conf, m[0].trim());
+}
+
+// ── Money: ballast bonus first, then the TC rate ───
+// The ballast bonus is cut out of the text before the
+// rate is searched, so "$18,250 + $825k bb" cannot
+// return 825,000 as the daily rate.
+function extractBallastBonus(t) {
+  const amt = '\\$?\\s*(?:usd\\s*)?(\\d[\\d,]*(?:\\.\\d+)?)\\s*(k|m)?';
+  const m = t.match(new RegExp(`\\+?\\s*${amt}\\s*(?:gbb|bb|blb|ballast bonus)\\b`, 'i'))
+         || t.match(new RegExp(`\\b(?:gbb|bb|blb|ballast bonus)\\s*(?:of\\s*)?${amt}`, 'i'));
+  if (!m) return { field: empty('No ballast bonus mentioned'), rest: t };
+  const bb = parseAmount(m[1], m[2]);
+  const rest = t.replace(m[0], ' ');
+  if (!bb || bb < 10000 || bb > 10000000) {
+    return { field: empty(`Ballast bonus "${m[0].trim()}" out of range`), rest };
+  }
+  return { field: found(bb, 0.9, m[0].trim()), rest };
+}
+
+function extractRate(text) {
+  // Voyage rates ("$24.50 pmt") are cut out first so they
+  // cannot be read as a daily hire of $24,500
+  const perMt = text.match(/\$?\s*(?:usd\s*)?\d+(?:\.\d+)?\s*(?:pmt|\/mt|per mt|\/t)\b/i);
+  const t = perMt ? text.replace(perMt[0], ' ') : text;
+  const amt = '(\\d[\\d,]*(?:\\.\\d+)?)\\s*(k)?';
+  const patterns = [
+    [new RegExp(`fixed\\s+around\\s+\\$\\s*${amt}`, 'i'),                      0.95],
+    [new RegExp(`\\$\\s*${amt}\\s*(?:pdpr|pd|p/d|/day|per day|daily)`, 'i'),   0.95],
+    [new RegExp(`\\busd\\s*${amt}\\s*(?:pdpr|pd|p/d|/day|per day|daily)`, 'i'), 0.95],
+    [new RegExp(`\\$\\s*${amt}`, 'i'),                                         0.85],
+    [new RegExp(`\\busd\\s*${amt}`, 'i'),                                      0.85],
+    [new RegExp(`\\b${amt}\\s*(?:pdpr|pd|p/d|/day|per day|daily)\\b`, 'i'),     0.8],
+  ];
+
+  for (const [re, conf] of patterns) {
+    const m = t.match(re);
+    if (!m) continue;
+    const rate = parseAmount(m[1], m[2]);
+    // "$18.25k" → 18250; "$18" alone is shorthand for 18k
+    const value = rate < 200 ? rate * 1000 : rate;
+    if (value >= 1000 && value <= 200000) return found(value, conf, m[0].trim());
+  }
+
+  if (perMt) return empty(`"${perMt[0].trim()}" is a voyage freight rate ($/mt), not a TC rate`);
+  return empty('No daily hire rate found');
+}
+
+function extractRoute(t) {
+  const m = t.match(/\bvia\s+([a-z][a-z .'-]{1,30}?)(?=\s*(?:$|\n|,|;|\+|\$|\bto\b|\bfixed\b|\bfor\b|\bredel))/i);
+  if (!m) return empty('No route hint (via …)');
+  const hint = m[1].trim().toLowerCase();
+  for (const [word, code] of ROUTE_WORDS) {
+    if (hint === word || hint.startsWith(word + ' ')) return found(code, 0.9, m[0].trim());
+  }
+  // "via ECSA", "via Singapore" — keep the text, it still
+  // tells the reader which way the ship is going
+  return found(m[1].trim(), 0.6, m[0].trim(), 'Route hint is not a canal or cape');
+}
+
+// ── Ports ──────────────────────────────────────────
+// Finds every port name in the text, then classifies
+// each by the nearest cue word in front of it
+// ("open Santos" → load, "to Qingdao" → discharge).
+function findPortMentions(t) {
+  const tl = t.toLowerCase();
+  const taken = new Array(tl.length).fill(false);
+  const mentions = [];
+
+  for (const name of PORT_INDEX.names) {
+    const re = new RegExp(`(?<![a-z])${escapeRe(name)}(?![a-z])`, 'g');
+    let m;
+    while ((m = re.exec(tl))) {
+      const start = m.index, end = start + name.length;
+      if (taken.slice(start, end).some(Boolean)) continue;
+      for (let i = start; i < end; i++) taken[i] = true;
+      const hit = PORT_INDEX.byName.get(name);
+      mentions.push({ port: hit.port, exact: hit.exact, start, text: t.substr(start, name.length) });
+    }
+  }
+  mentions.sort((a, b) => a.start - b.start);
+
+  for (const mention of mentions) {
+    const before = tl.slice(Math.max(0, mention.start - 30), mention.start);
+    const words  = before.split(/[^a-z/]+/).filter(Boolean).reverse().slice(0, 4);
+    mention.cue = null;
+    for (const w of words) {
+      if (w === 'via')            { mention.cue = 'via';   break; } // a waypoint, not a port call
+      if (LOAD_CUES.includes(w))  { mention.cue = 'load';  break; }
+      if (DISCH_CUES.includes(w)) { mention.cue = 'disch'; break; }
+    }
+  }
+  return mentions;
+}
+
+function portField(mention, conf, reason = null) {
+  const p = mention.port;
+  return found(
+    { id: p.id, name: p.name, country: p.country, region: p.region },
+    mention.exact ? conf : conf - 0.05,
+    mention.text,
+    reason
+  );
+}
+
+function extractPorts(t) {
+  const mentions = findPortMentions(t);
+  if (mentions.length === 0) {
+    const why = 'No port from ports.json named';
+    return { load: empty(why), disch: empty(why) };
+  }
+
+  const cuedLoad  = mentions.find(m => m.cue === 'load');
+  const cuedDisch = mentions.find(m => m.cue === 'disch' && m !== cuedLoad &&
+                                       (!cuedLoad || m.start > cuedLoad.start));
+
+  let load, disch;
+  if (cuedLoad) load = portField(cuedLoad, 0.9);
+  if (cuedDisch) disch = portField(cuedDisch, 0.9);
+
+  // Without cue words, fall back to order of mention
+  if (!load) {
+    const first = mentions.find(m => m.cue !== 'via' && m !== cuedDisch);
+    load = first && (!cuedDisch || first.start < cuedDisch.start)
+      ? portField(first, 0.5, 'No load cue — taken as first port mentioned')
+      : empty('No load port found');
+  }
+  if (!disch) {
+    const last = [...mentions].reverse().find(m =>
+      m.cue !== 'via' && m !== cuedLoad && (!load.value || m.port.id !== load.value.id));
+    disch = last
+      ? portField(last, 0.5, 'No discharge cue — taken as last port mentioned')
+      : empty('No discharge port found');
+  }
+  return { load, disch };
+}
+
+// ══════════════════════════════════════════════════
+// PUBLIC
+// ══════════════════════════════════════════════════
+
+// parseRecap(text, { now }) → {
+//   fields: { vesselType, dwt, laycan, cargo, loadPort,
+//             dischargePort, rate, ballastBonus, route },
+//   complete,   // enough to store as a fixture
+//   confidence, // mean over the fixture-critical fields
+//   raw,
+// }
+function parseRecap(text, opts = {}) {
+  const now = opts.now ? new Date(opts.now) : new Date();
+  const t = normalise(text);
+
+  const dwt        = extractDwt(t);
+  const vesselType = extractVessel(t, dwt);
+  const laycan     = extractLaycan(t, now);
+  const cargo      = extractCargo(t);
+  const { field: ballastBonus, rest } = extractBallastBonus(t);
+  const rate       = extractRate(rest);
+  const route      = extractRoute(t);
+  const { load: loadPort, disch: dischargePort } = extractPorts(t);
+
+  const fields = { vesselType, dwt, laycan, cargo, loadPort, dischargePort, rate, ballastBonus, route };
+  const critical = [vesselType, loadPort, dischargePort, rate];
+
+  return {
+    fields,
+    complete:   critical.every(f => f.value !== null),
+    confidence: Math.round(critical.reduce((a, f) => a + f.confidence, 0) / critical.length * 100) / 100,
+    raw:        String(text || ''),
+  };
+}
+
+module.exports = { parseRecap };
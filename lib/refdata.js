@@ -0,0 +1,425 @@
+// ══════════════════════════════════════════════════
+// lib/refdata.js
+// Versioned reference data: the cost assumptions the
+// calculator loads, editable without a redeploy.
+//
+// Datasets (each a whole file under app/data/):
+//   regions      da, portRate, tolls, canalTariffs, war,
+//                ecaRegions, etsCountries, emissions,
+//                defaultBunkerPrices
+//   commodities  commodities, regionalDefaults,
+//                portRates, ballastFactors
+//   ports        the port list, with draft/LOA/beam limits
+//
+// Version 0 of a dataset is the file bundled with the
+// deploy. Every later version is a row in
+// refdata_versions, published with an effective date:
+// the current version on a date is the published one
+// with the latest effective date on or before it
+// (highest version on a tie). Published versions are
+// never edited and can't be back-dated — a correction
+// is a new version effective today — so a quote can
+// always be audited against the data it was priced on.
+//
+// refdata_versions columns:
+//   id, dataset, version, status (draft|published),
+//   effective_date, created_at, published_at, author,
+//   note, checksum, data (jsonb), changes (jsonb)
+// with (dataset, version) unique. changes lists what
+// moved against the version it replaced (diffData).
+// ══════════════════════════════════════════════════
+
+const crypto = require('crypto');
+
+const { openStore } = require('./storage');
+
+const TABLE       = 'refdata_versions';
+const MAX_CHANGES = 200;   // per version; the count is kept regardless
+const SAVE_TRIES  = 3;     // a concurrent save may take the version number
+
+// Static requires, so the deploy bundles the files
+const DATASETS = {
+  regions:     { file: () => require('../app/data/regions.json'),     label: 'Regions — DAs, port rates, canal tolls & tariffs, war risk, ECA/ETS' },
+  commodities: { file: () => require('../app/data/commodities.json'), label: 'Commodities — handling rates and ballast factors' },
+  ports:       { file: () => require('../app/data/ports.json'),       label: 'Ports — positions, regions and draft/LOA/beam limits' },
+};
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const today   = () => new Date().toISOString().split('T')[0];
+
+// Over the serialised data, so the calculator's copy
+// and the stored row fingerprint the same
+function checksum(data) {
+  return crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex').slice(0, 16);
+}
+
+function bundled(dataset) {
+  const data = DATASETS[dataset].file();
+  return {
+    dataset, version: 0, status: 'published',
+    effectiveDate: null, publishedAt: null, author: null,
+    note: 'Bundled with the deploy',
+    checksum: checksum(data), changes: null, data,
+  };
+}
+
+function fromRow(row) {
+  return {
+    dataset:       row.dataset,
+    version:       row.version,
+    status:        row.status,
+    effectiveDate: row.effective_date,
+    createdAt:     row.created_at,
+    publishedAt:   row.published_at,
+    author:        row.author,
+    note:          row.note,
+    checksum:      row.checksum,
+    changes:       row.changes,
+    data:          row.data,
+  };
+}
+
+// ── Reading versions ───────────────────────────────
+async function currentVersion(dataset, date = today()) {
+  const rows = await openStore('read').select(TABLE, {
+    where: [['dataset', 'eq', dataset], ['status', 'eq', 'published'], ['effective_date', 'lte', date]],
+    order: [['effective_date', 'desc'], ['version', 'desc']],
+    limit: 1,
+  });
+  return rows.length ? fromRow(rows[0]) : bundled(dataset);
+}
+
+// Drafts only for the admin API (role 'write')
+async function getVersion(dataset, version, role = 'read') {
+  if (version === 0) return bundled(dataset);
+  const rows = await openStore(role).select(TABLE, {
+    where: [['dataset', 'eq', dataset], ['version', 'eq', version]],
+    limit: 1,
+  });
+  const v = rows.length ? fromRow(rows[0]) : null;
+  return v && (v.status === 'published' || role === 'write') ? v : null;
+}
+
+// Newest first, without the data; version 0 last
+async function listVersions(dataset) {
+  const rows = await openStore('write').select(TABLE, {
+    select: 'dataset,version,status,effective_date,created_at,published_at,author,note,checksum,changes',
+    where:  [['dataset', 'eq', dataset]],
+    order:  [['version', 'desc']],
+  });
+  const withoutData = ({ data, ...v }) => v;
+  return [...rows.map(fromRow), bundled(dataset)].map(withoutData);
+}
+
+// ── Changes between two versions ───────────────────
+// Paths into the data: objects by key, arrays of
+// objects with an id by that id ("ports[rosario].maxDraft"),
+// any other array as a whole.
+function diffData(prev, next, at = '', out = []) {
+  const byId = v => Array.isArray(v) && v.every(x => isObj(x) && typeof x.id === 'string');
+  if (isObj(prev) && isObj(next)) {
+    for (const k of new Set([...Object.keys(prev), ...Object.keys(next)])) {
+      diffData(prev[k], next[k], at ? `${at}.${k}` : k, out);
+    }
+  } else if (byId(prev) && byId(next)) {
+    const p = new Map(prev.map(x => [x.id, x])), n = new Map(next.map(x => [x.id, x]));
+    for (const id of new Set([...p.keys(), ...n.keys()])) diffData(p.get(id), n.get(id), `${at}[${id}]`, out);
+  } else if (JSON.stringify(prev) !== JSON.stringify(next)) {
+    out.push({ path: at, from: prev === undefined ? null : prev, to: next === undefined ? null : next });
+  }
+  return out;
+}
+
+// ── Validation ─────────────────────────────────────
+// errors block publishing; warnings are references the
+// calculator tolerates (a region with no DA falls back
+// to the default) but probably aren't meant.
+const isObj = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isNum = (v, min = 0, max = Infinity) => typeof v === 'number' && Number.isFinite(v) && v >= min && v <= max;
+const isStr = v => typeof v === 'string' && v.trim() !== '';
+
+const BASINS = ['ATLANTIC', 'PACIFIC', 'INDIAN', 'MED', 'BALTIC', 'BLACK'];
+
+// Names the sea-lane network and the vessel classes
+// refer to — not versioned, so read from the deploy
+function fixedRefs() {
+  const lanes   = require('../app/data/sealanes.json');
+  const vessels = require('../app/data/vessels.json');
+  return {
+    warZones: new Set(Object.values(lanes.nodes).map(n => n.war).filter(Boolean)),
+    canals:   new Set(lanes.edges.map(e => e[2] && e[2].canal).filter(Boolean)),
+    classes:  vessels.ranges.map(r => r.v),
+  };
+}
+
+function objOf(c, v, at, each) {
+  if (!isObj(v)) return c.err(at, 'must be an object');
+  for (const [k, x] of Object.entries(v)) each(x, `${at}.${k}`, k);
+}
+
+const TONNAGES  = ['scnt', 'pcums'];
+const REBATE_ON = ['commodities', 'fromRegions', 'toRegions', 'classes'];
+
+// One dated canal tariff — the shape canalToll() in
+// the calculator reads
+function checkTariff(c, t, at, refs) {
+  if (!isObj(t)) return c.err(at, 'must be an object');
+  if (!isStr(t.effective) || !DATE_RE.test(t.effective)) c.err(`${at}.effective`, 'must be YYYY-MM-DD');
+  if (!isStr(t.currency)) c.err(`${at}.currency`, 'must be a currency code');
+  if (!isNum(t.usdPerUnit, 0.01, 100)) c.err(`${at}.usdPerUnit`, 'must be USD per currency unit (0.01–100)');
+  if (!TONNAGES.includes(t.tonnage)) c.err(`${at}.tonnage`, `must be one of ${TONNAGES.join(', ')}`);
+
+  if (!Array.isArray(t.tiers) || !t.tiers.length) {
+    c.err(`${at}.tiers`, 'must be a list of tonnage tiers');
+  } else {
+    let lower = 0;
+    t.tiers.forEach((tier, i) => {
+      const at2 = `${at}.tiers[${i}]`;
+      if (!isObj(tier)) return c.err(at2, 'must be an object');
+      const last = i === t.tiers.length - 1;
+      if (last ? tier.upTo !== null : !isNum(tier.upTo, lower + 1)) {
+        c.err(`${at2}.upTo`, last ? 'must be null on the last tier' : 'must be a tonnage above the tier before');
+      }
+      if (isNum(tier.upTo)) lower = tier.upTo;
+      if (!isNum(tier.laden, 0, 1000) || !isNum(tier.ballast, 0, 1000)) c.err(at2, 'needs laden and ballast rates per ton (0–1,000)');
+    });
+  }
+
+  (Array.isArray(t.fixed) ? t.fixed : []).forEach((f, i) => {
+    const at2 = `${at}.fixed[${i}]`;
+    if (!isObj(f) || !isStr(f.label)) return c.err(at2, 'must have a label');
+    if (isObj(f.usd)) {
+      objOf(c, f.usd, `${at2}.usd`, (v, at3, vt) => {
+        if (!isNum(v, 0, 1e6)) c.err(at3, 'must be USD (0–1,000,000)');
+        if (!refs.classes.includes(vt)) c.warn(at3, 'not a vessel class');
+      });
+    } else if (!isNum(f.usd, 0, 1e6)) {
+      c.err(`${at2}.usd`, 'must be USD (0–1,000,000), or USD by vessel class');
+    }
+  });
+  if (t.fixed !== undefined && !Array.isArray(t.fixed)) c.err(`${at}.fixed`, 'must be a list');
+
+  (Array.isArray(t.rebates) ? t.rebates : []).forEach((r, i) => {
+    const at2 = `${at}.rebates[${i}]`;
+    if (!isObj(r) || !isStr(r.label)) return c.err(at2, 'must have a label');
+    if (!isNum(r.pct, 0, 100)) c.err(`${at2}.pct`, 'must be a percentage (0–100)');
+    if (r.condition !== undefined && !['laden', 'ballast'].includes(r.condition)) c.err(`${at2}.condition`, 'must be laden or ballast');
+    for (const key of REBATE_ON) {
+      if (r[key] !== undefined && (!Array.isArray(r[key]) || !r[key].every(isStr))) c.err(`${at2}.${key}`, 'must be a list of names');
+    }
+    for (const key of ['from', 'until']) {
+      if (r[key] !== undefined && (!isStr(r[key]) || !DATE_RE.test(r[key]))) c.err(`${at2}.${key}`, 'must be YYYY-MM-DD');
+    }
+    for (const region of [...(r.fromRegions || []), ...(r.toRegions || [])]) {
+      if (!refs.regions.has(region)) c.warn(at2, `"${region}" is not a region with a DA`);
+    }
+  });
+  if (t.rebates !== undefined && !Array.isArray(t.rebates)) c.err(`${at}.rebates`, 'must be a list');
+}
+
+const VALIDATORS = {
+  regions(d, c, refs) {
+    const regions = new Set(isObj(d.da) ? Object.keys(d.da) : []);
+    objOf(c, d.da, 'da', (v, at) => { if (!isNum(v, 0, 1e7)) c.err(at, 'must be a DA in USD (0–10,000,000)'); });
+    objOf(c, d.portRate, 'portRate', (v, at, k) => {
+      if (!isNum(v, 1, 2e5)) c.err(at, 'must be a rate in MT/day (1–200,000)');
+      if (!regions.has(k)) c.warn(at, 'region has no DA');
+    });
+    for (const key of ['ecaRegions', 'etsCountries']) {
+      if (!Array.isArray(d[key]) || !d[key].every(isStr)) c.err(key, 'must be a list of names');
+    }
+    for (const r of Array.isArray(d.ecaRegions) ? d.ecaRegions : []) {
+      if (!regions.has(r)) c.warn('ecaRegions', `"${r}" is not a region with a DA`);
+    }
+    objOf(c, d.war, 'war', (v, at) => {
+      if (!isObj(v) || !isStr(v.label)) return c.err(at, 'must have a label');
+      if (!isNum(v.hull, 0, 1e7))       c.err(`${at}.hull`, 'must be a premium in USD (0–10,000,000)');
+      if (!isNum(v.cargoPerMt, 0, 100)) c.err(`${at}.cargoPerMt`, 'must be USD per MT (0–100)');
+    });
+    for (const z of refs.warZones) {
+      if (!isObj(d.war) || !d.war[z]) c.err(`war.${z}`, 'is a war-risk zone on the sea-lane network and must stay');
+    }
+    objOf(c, d.tolls, 'tolls', (v, at) => objOf(c, v, at, (t, at2) => {
+      if (!isNum(t, 0, 5e6)) c.err(at2, 'must be a toll in USD (0–5,000,000)');
+    }));
+    // Optional — a canal without a tariff pays the flat
+    // toll above
+    if (d.canalTariffs !== undefined) objOf(c, d.canalTariffs, 'canalTariffs', (list, at, canal) => {
+      if (!refs.canals.has(canal)) c.warn(at, 'not a canal on the sea-lane network');
+      if (!Array.isArray(list)) return c.err(at, 'must be a list of dated tariffs');
+      list.forEach((t, i) => checkTariff(c, t, `${at}[${i}]`, { ...refs, regions }));
+      const dates = list.map(t => isObj(t) && t.effective);
+      if (new Set(dates).size !== dates.length) c.err(at, 'two tariffs share an effective date');
+    });
+    for (const canal of refs.canals) {
+      for (const vt of refs.classes) {
+        if (!isObj(d.tolls) || !isObj(d.tolls[canal]) || d.tolls[canal][vt] === undefined) {
+          c.warn(`tolls.${canal}.${vt}`, 'missing — the calculator will charge no toll');
+        }
+      }
+    }
+    if (!isObj(d.defaultBunkerPrices) || !isNum(d.defaultBunkerPrices.vlsfo, 1, 5000) || !isNum(d.defaultBunkerPrices.mgo, 1, 5000)) {
+      c.err('defaultBunkerPrices', 'needs vlsfo and mgo in USD/MT');
+    }
+    const e = d.emissions;
+    if (!isObj(e)) return c.err('emissions', 'must be an object');
+    if (!isObj(e.cf) || !isNum(e.cf.vlsfo, 1, 5) || !isNum(e.cf.mgo, 1, 5)) c.err('emissions.cf', 'needs vlsfo and mgo CO₂ factors (t/t)');
+    if (isObj(e.cf) && e.cf.hsfo !== undefined && !isNum(e.cf.hsfo, 1, 5)) c.err('emissions.cf.hsfo', 'must be a CO₂ factor (t/t)');
+    if (isObj(e.cf) && e.cf.hsfo === undefined) c.warn('emissions.cf.hsfo', 'missing — scrubber ships will use the VLSFO factor');
+    if (!isObj(e.ets) || !isNum(e.ets.euaPrice, 0, 1000) || !isNum(e.ets.surrenderPct, 0, 100)) c.err('emissions.ets', 'needs euaPrice and surrenderPct (0–100)');
+    if (!isObj(e.cii) || !isNum(e.cii.a) || !isNum(e.cii.c) || !Array.isArray(e.cii.dd) || e.cii.dd.length !== 4) {
+      c.err('emissions.cii', 'needs a, c and four dd boundaries');
+    }
+  },
+
+  commodities(d, c, refs) {
+    const regions = refs.regions;
+    const ports   = refs.portNames;
+    const kinds   = new Set(isObj(d.commodities) ? Object.keys(d.commodities) : []);
+    objOf(c, d.commodities, 'commodities', (v, at) => {
+      if (!isObj(v) || !isStr(v.label)) return c.err(at, 'must have a label');
+      if (!isNum(v.loadBase, 1, 2e5))  c.err(`${at}.loadBase`, 'must be MT/day (1–200,000)');
+      if (!isNum(v.dischBase, 1, 2e5)) c.err(`${at}.dischBase`, 'must be MT/day (1–200,000)');
+      if (!isNum(v.sf, 0.2, 5))        c.err(`${at}.sf`, 'must be a stowage factor in m³/MT (0.2–5)');
+    });
+    if (!kinds.has('default')) c.err('commodities.default', 'is required');
+    const rates = (v, at) => {
+      if (!isObj(v) || (v.load === undefined && v.disch === undefined)) return c.err(at, 'needs load and/or disch');
+      for (const k of ['load', 'disch']) {
+        if (v[k] !== undefined && !isNum(v[k], 1, 2e5)) c.err(`${at}.${k}`, 'must be MT/day (1–200,000)');
+      }
+    };
+    objOf(c, d.regionalDefaults, 'regionalDefaults', (v, at, region) => {
+      if (!regions.has(region)) c.warn(at, 'not a region with a DA');
+      objOf(c, v, at, (r, at2, kind) => {
+        if (!kinds.has(kind)) c.warn(at2, 'not a commodity');
+        rates(r, at2);
+      });
+    });
+    objOf(c, d.portRates, 'portRates', (v, at, name) => {
+      if (!ports.has(name)) c.warn(at, 'no port by that name — never applied');
+      objOf(c, v, at, (r, at2, kind) => {
+        if (!kinds.has(kind)) c.warn(at2, 'not a commodity');
+        rates(r, at2);
+      });
+    });
+    objOf(c, d.ballastFactors, 'ballastFactors', (v, at, region) => {
+      if (!isNum(v, 0, 2)) c.err(at, 'must be a factor of the laden distance (0–2)');
+      if (!regions.has(region)) c.warn(at, 'not a region with a DA');
+    });
+  },
+
+  ports(d, c, refs) {
+    if (!Array.isArray(d)) return c.err('ports', 'must be a list');
+    const ids = new Set(), names = new Set();
+    d.forEach((p, i) => {
+      const at = `[${isObj(p) && isStr(p.id) ? p.id : i}]`;
+      if (!isObj(p)) return c.err(at, 'must be an object');
+      if (!isStr(p.id) || !/^[a-z0-9_]+$/.test(p.id)) c.err(`${at}.id`, 'must be lower_snake_case');
+      else if (ids.has(p.id)) c.err(`${at}.id`, 'is used twice');
+      ids.add(p.id);
+      if (!isStr(p.name)) c.err(`${at}.name`, 'is required');
+      else if (names.has(p.name)) c.warn(`${at}.name`, `"${p.name}" is used twice — searches show both`);
+      names.add(p.name);
+      if (!isStr(p.country))           c.err(`${at}.country`, 'is required');
+      if (!isNum(p.lat, -90, 90))      c.err(`${at}.lat`, 'must be a latitude');
+      if (!isNum(p.lon, -180, 180))    c.err(`${at}.lon`, 'must be a longitude');
+      if (!refs.regions.has(p.region)) c.err(`${at}.region`, `"${p.region}" is not a region with a DA`);
+      if (!BASINS.includes(p.basin))   c.err(`${at}.basin`, `must be one of ${BASINS.join(', ')}`);
+      if (p.maxDraft !== undefined && !isNum(p.maxDraft, 3, 30))  c.err(`${at}.maxDraft`, 'must be metres (3–30)');
+      if (p.maxLoa   !== undefined && !isNum(p.maxLoa, 50, 500))  c.err(`${at}.maxLoa`, 'must be metres (50–500)');
+      if (p.maxBeam  !== undefined && !isNum(p.maxBeam, 10, 80))  c.err(`${at}.maxBeam`, 'must be metres (10–80)');
+    });
+  },
+};
+
+// Checks one dataset against the current versions of
+// the others. → { errors: [], warnings: [] }
+async function validate(dataset, data) {
+  const c = { errors: [], warnings: [] };
+  c.err  = (at, msg) => c.errors.push(`${at}: ${msg}`);
+  c.warn = (at, msg) => c.warnings.push(`${at}: ${msg}`);
+  if (data === null || typeof data !== 'object') {
+    c.err(dataset, 'must be JSON data');
+  } else {
+    const regions = dataset === 'regions' ? data : (await currentVersion('regions')).data;
+    const ports   = dataset === 'ports'   ? data : (await currentVersion('ports')).data;
+    VALIDATORS[dataset](data, c, {
+      ...fixedRefs(),
+      regions:   new Set(isObj(regions.da) ? Object.keys(regions.da) : []),
+      portNames: new Set(Array.isArray(ports) ? ports.map(p => p && p.name) : []),
+    });
+  }
+  return { errors: c.errors, warnings: c.warnings };
+}
+
+// ── Writing versions ───────────────────────────────
+async function nextVersion(dataset) {
+  const rows = await openStore('write').select(TABLE, {
+    select: 'version', where: [['dataset', 'eq', dataset]], order: [['version', 'desc']], limit: 1,
+  });
+  return rows.length ? rows[0].version + 1 : 1;
+}
+
+// A new draft, or new data for an existing one.
+// → { version } or { error, status }
+async function saveDraft(dataset, data, { version, note, author } = {}) {
+  const row = { data, checksum: checksum(data), note: note || null, author: author || null };
+  const store = openStore('write');
+  if (version) {
+    const draft = await getVersion(dataset, version, 'write');
+    if (!draft) return { status: 404, error: `No version ${version} of ${dataset}` };
+    if (draft.status !== 'draft') return { status: 409, error: `Version ${version} of ${dataset} is published — save a new draft` };
+    // Conditional, so a publish in between wins
+    const [updated] = await store.update(TABLE, [['dataset', 'eq', dataset], ['version', 'eq', version], ['status', 'eq', 'draft']], row);
+    if (!updated) return { status: 409, error: `Version ${version} of ${dataset} is published — save a new draft` };
+    return { version: fromRow(updated) };
+  }
+  for (let i = 0; i < SAVE_TRIES; i++) {
+    try {
+      const [added] = await store.insert(TABLE, [{
+        dataset, version: await nextVersion(dataset), status: 'draft',
+        created_at: new Date().toISOString(), ...row,
+      }], { returning: true, unique: ['dataset', 'version'] });
+      return { version: fromRow(added) };
+    } catch (err) {
+      if (!err.conflict) throw err;
+    }
+  }
+  return { status: 409, error: `Another version of ${dataset} was saved at the same time — try again` };
+}
+
+// Publishes a draft that validates. effectiveDate
+// defaults to today and may not be earlier.
+// → { version, warnings } or { error, status, errors? }
+async function publish(dataset, version, { effectiveDate, note, author } = {}) {
+  const date = effectiveDate || today();
+  if (!DATE_RE.test(date) || isNaN(new Date(date))) return { status: 400, error: 'effectiveDate must be YYYY-MM-DD' };
+  if (date < today()) return { status: 400, error: 'effectiveDate can\'t be in the past — publish a correction effective today' };
+
+  const draft = await getVersion(dataset, version, 'write');
+  if (!draft) return { status: 404, error: `No version ${version} of ${dataset}` };
+  if (draft.status !== 'draft') return { status: 409, error: `Version ${version} of ${dataset} is already published` };
+
+  const check = await validate(dataset, draft.data);
+  if (check.errors.length) return { status: 422, error: `${check.errors.length} validation error(s)`, ...check };
+
+  const replaced = await currentVersion(dataset, date);
+  const changes  = diffData(replaced.data, draft.data);
+  // Conditional, so only one of two concurrent publishes lands
+  const [row] = await openStore('write').update(TABLE, [['dataset', 'eq', dataset], ['version', 'eq', version], ['status', 'eq', 'draft']], {
+    status:         'published',
+    effective_date: date,
+    published_at:   new Date().toISOString(),
+    note:           note || draft.note,
+    author:         author || draft.author,
+    changes:        { from: replaced.version, count: changes.length, items: changes.slice(0, MAX_CHANGES) },
+  });
+  if (!row) return { status: 409, error: `Version ${version} of ${dataset} is already published` };
+  return { version: fromRow(row), warnings: check.warnings };
+}
+
+module.exports = {
+  DATASETS, checksum, diffData, validate,
+  currentVersion, getVersion, listVersions, saveDraft, publish,
+};
@@ -0,0 +1,169 @@
+// ══════════════════════════════════════════════════
+// lib/regions.js
+// Free-text location and vessel names → the region
+// codes and vessel types used across the calculator,
+// the scrapers and the fixture API.
+// ══════════════════════════════════════════════════
+
+// ── Region text → our region code ─────────────────
+// Maps HandyBulk's free-text location names to our
+// standardised region codes used in the calculator.
+const REGION_MAP = {
+  // Europe
+  'continent':              'N.EUROPE',
+  'n.europe':               'N.EUROPE',
+  'north europe':           'N.EUROPE',
+  'northern europe':        'N.EUROPE',
+  'arag':                   'N.EUROPE',
+  'uk continent':           'N.EUROPE',
+  'germany':                'N.EUROPE',
+  'uk':                     'N.EUROPE',
+  'netherlands':            'N.EUROPE',
+  'belgium':                'N.EUROPE',
+  'france':                 'N.EUROPE',
+  'baltic':                 'BALTIC',
+  'finland':                'BALTIC',
+  'sweden':                 'BALTIC',
+  'poland':                 'BALTIC',
+  // Mediterranean
+  'spain':                  'W.MED',
+  'portugal':               'W.MED',
+  'morocco':                'W.MED',
+  'algeria':                'W.MED',
+  'w.med':                  'W.MED',
+  'west med':               'W.MED',
+  'west mediterranean':     'W.MED',
+  'east mediterranean':     'E.MED',
+  'e.med':                  'E.MED',
+  'emed':                   'E.MED',
+  'east med':               'E.MED',
+  'egypt med':              'E.MED',
+  'egypt':                  'E.MED',
+  'turkey':                 'E.MED',
+  'turkiye':                'E.MED',
+  'turkiye med':            'E.MED',
+  'greece':                 'E.MED',
+  'italy':                  'W.MED',
+  // Black Sea
+  'black sea':              'BLACK SEA',
+  'ukraine':                'BLACK SEA',
+  'romania':                'BLACK SEA',
+  // Americas
+  'us gulf':                'US GULF',
+  'usg':                    'US GULF',
+  'us east coast':          'US EAST COAST',
+  'usec':                   'US EAST COAST',
+  'east coast south america':'E.S.AMERICA',
+  'ecsa':                   'E.S.AMERICA',
+  'brazil':                 'E.S.AMERICA',
+  'argentina':              'E.S.AMERICA',
+  'uruguay':                'E.S.AMERICA',
+  'sw passage':             'E.S.AMERICA',
+  'north coast south america':'N.S.AMERICA',
+  'ncsa':                   'N.S.AMERICA',
+  'colombia':               'N.S.AMERICA',
+  'colombia east coast':    'N.S.AMERICA',
+  'venezuela':              'N.S.AMERICA',
+  'east coast north america':'US EAST COAST',
+  'ecna':                   'US EAST COAST',
+  'dominican republic':     'CARIBBEAN',
+  'caribbean':              'CARIBBEAN',
+  'mexico east coast':      'MEXICO',
+  'mexico':                 'MEXICO',
+  'peru':                   'W.S.AMERICA',
+  'ecuador':                'W.S.AMERICA',
+  'west coast south america':'W.S.AMERICA',
+  'wcsa':                   'W.S.AMERICA',
+  // Africa
+  'west africa':            'W.AFRICA',
+  'wafr':                   'W.AFRICA',
+  'waf':                    'W.AFRICA',
+  'w.africa':               'W.AFRICA',
+  'nigeria':                'W.AFRICA',
+  'gabon':                  'W.AFRICA',
+  'ghana':                  'W.AFRICA',
+  'south africa':           'S.AFRICA',
+  'saf':                    'S.AFRICA',
+  's.africa':               'S.AFRICA',
+  'east africa':            'E.AFRICA',
+  'kenya':                  'E.AFRICA',
+  'mozambique':             'E.AFRICA',
+  // Middle East / Red Sea
+  'middle east':            'MIDDLE EAST',
+  'uae':                    'MIDDLE EAST',
+  'qatar':                  'MIDDLE EAST',
+  'oman':                   'MIDDLE EAST',
+  'saudi arabia':           'MIDDLE EAST',
+  'iraq':                   'MIDDLE EAST',
+  'iran':                   'MIDDLE EAST',
+  'red sea':                'RED SEA',
+  // Indian Subcontinent
+  'west coast india':       'W.INDIA',
+  'wci':                    'W.INDIA',
+  'w.india':                'W.INDIA',
+  'india':                  'W.INDIA',
+  'pakistan':               'W.INDIA',
+  'east coast india':       'E.INDIA',
+  'eci':                    'E.INDIA',
+  'e.india':                'E.INDIA',
+  'bangladesh':             'E.INDIA',
+  'south india':            'S.INDIA',
+  's.india':                'S.INDIA',
+  'sri lanka':              'S.INDIA',
+  // Asia Pacific
+  'china':                  'CHINA',
+  'south china':            'CHINA',
+  'north china':            'CHINA',
+  'hong kong':              'CHINA',
+  'taiwan':                 'N.ASIA',
+  'japan':                  'N.ASIA',
+  'japan-korea':            'N.ASIA',
+  'south korea':            'N.ASIA',
+  'korea':                  'N.ASIA',
+  'north pacific':          'N.ASIA',
+  'nopac':                  'N.ASIA',
+  'n.asia':                 'N.ASIA',
+  'far east':               'CHINA',      // generic Far East → China
+  'indonesia':              'SE.ASIA',
+  'malaysia':               'SE.ASIA',
+  'thailand':               'SE.ASIA',
+  'vietnam':                'SE.ASIA',
+  'cambodia':               'SE.ASIA',
+  'philippines':            'SE.ASIA',
+  'south east asia':        'SE.ASIA',
+  'southeast asia':         'SE.ASIA',
+  'se asia':                'SE.ASIA',
+  'sea':                    'SE.ASIA',
+  'australia':              'AUSTRALIA',
+};
+
+// ── Map a raw location text to region code ─────────
+function mapRegion(text) {
+  if (!text) return null;
+  const t = text.toLowerCase()
+    .replace(/\s*\(.*?\)/g, '')   // strip parenthetical e.g. "(USG)" "(ECSA)"
+    .trim();
+
+  // Direct match first
+  if (REGION_MAP[t]) return REGION_MAP[t];
+
+  // Partial match — look for any key that appears in the text
+  for (const [key, region] of Object.entries(REGION_MAP)) {
+    if (t.includes(key)) return region;
+  }
+
+  return null;
+}
+
+// ── Map HandyBulk vessel name to our vessel type ───
+function mapVessel(text) {
+  const t = text.toLowerCase();
+  if (t.includes('capesize') || t.includes('cape')) return 'CAPESIZE';
+  if (t.includes('panamax'))                         return 'PANAMAX';
+  if (t.includes('ultramax'))                        return 'ULTRAMAX';
+  if (t.includes('supramax'))                        return 'SUPRAMAX';
+  if (t.includes('handy'))                           return 'HANDY';
+  return null;
+}
+
+module.exports = { REGION_MAP, mapRegion, mapVessel };
@@ -0,0 +1,171 @@
+// ══════════════════════════════════════════════════
+// lib/sources/handybulk.js
+// TC rate source: HandyBulk daily rates page.
+// Parses every "X open A to B fixed around $N" bullet.
+// ══════════════════════════════════════════════════
+
+const { mapRegion, mapVessel } = require('../regions');
+
+const SOURCE_URL = 'https://www.handybulk.com/ship-charter-rates/';
+
+// ── Parse bullet line ──────────────────────────────
+// Input:  "• Ultramax open Continent to China fixed around $17,500"
+// Output: { vesselType, originText, destinationText, rate }
+// Also handles "via" routes:
+//   "Supramax open West Africa (WAFR) via ECSA to China fixed around $20,500"
+function parseLine(line) {
+  // Strip HTML tags, bullet chars, trim
+  const clean = line
+    .replace(/<[^>]+>/g, '')     // remove ALL HTML tags e.g. <p>, </p>
+    .replace(/^[•·\-\*]\s*/, '') // remove bullet
+    .trim();
+
+  // Must end with "fixed around $NUMBER"
+  const rateMatch = clean.match(/fixed\s+around\s+\$([0-9,]+)/i);
+  if (!rateMatch) return null;
+
+  const rate = parseInt(rateMatch[1].replace(/,/g, ''), 10);
+  if (!rate || rate < 1000 || rate > 200000) return null; // sanity check
+
+  // Everything before "fixed around"
+  const beforeFixed = clean.substring(0, clean.indexOf('fixed around')).trim();
+
+  // Extract vessel type (first word)
+  const firstWord = beforeFixed.split(/\s+/)[0];
+  const vesselType = mapVessel(firstWord);
+  if (!vesselType) return null;
+
+  // Remove "VESSEL open" prefix
+  const afterOpen = beforeFixed.replace(/^\S+\s+open\s+/i, '').trim();
+
+  // Split on " to " — last occurrence is always destination
+  const toIdx = afterOpen.lastIndexOf(' to ');
+  if (toIdx === -1) return null;
+
+  const originVia = afterOpen.substring(0, toIdx).trim();
+  const destinationText = afterOpen.substring(toIdx + 4).trim().replace(/\s*$/, '');
+
+  // Origin is everything before " via " (or the whole string if no "via")
+  const viaIdx = originVia.lastIndexOf(' via ');
+  const originText = (viaIdx !== -1)
+    ? originVia.substring(0, viaIdx).trim()
+    : originVia;
+
+  const originRegion = mapRegion(originText);
+  const destinationRegion = mapRegion(destinationText);
+
+  // Skip if we can't map either region
+  if (!originRegion || !destinationRegion) return null;
+
+  return {
+    vesselType,
+    originText,
+    destinationText,
+    originRegion,
+    destinationRegion,
+    rate,
+    rawLine: clean,
+  };
+}
+
+// ── Why a candidate line failed parseLine() ────────
+// Only used to label parse failures in scrape_runs and
+// ?debug=1 output, so it mirrors parseLine's checks.
+function explainFailure(line) {
+  const clean = line.replace(/<[^>]+>/g, '').replace(/^[•·\-\*]\s*/, '').trim();
+  const rateMatch = clean.match(/fixed\s+around\s+\$([0-9,]+)/i);
+  if (!rateMatch) return 'No "fixed around $N" rate';
+  const rate = parseInt(rateMatch[1].replace(/,/g, ''), 10);
+  if (!rate || rate < 1000 || rate > 200000) return `Rate $${rateMatch[1]} out of range`;
+  const beforeFixed = clean.substring(0, clean.indexOf('fixed around')).trim();
+  if (!mapVessel(beforeFixed.split(/\s+/)[0])) return 'First word is not a vessel type';
+  const afterOpen = beforeFixed.replace(/^\S+\s+open\s+/i, '').trim();
+  const toIdx = afterOpen.lastIndexOf(' to ');
+  if (toIdx === -1) return 'No " to " between origin and destination';
+  const originVia = afterOpen.substring(0, toIdx).trim();
+  const viaIdx = originVia.lastIndexOf(' via ');
+  const originText = viaIdx !== -1 ? originVia.substring(0, viaIdx).trim() : originVia;
+  const destinationText = afterOpen.substring(toIdx + 4).trim();
+  if (!mapRegion(originText))      return `Unmapped origin "${originText}"`;
+  if (!mapRegion(destinationText)) return `Unmapped destination "${destinationText}"`;
+  return 'Unparsed';
+}
+
+// ── Parse the full HTML page ───────────────────────
+// Returns { items, failures } — failures are candidate
+// lines (mention a vessel and "fixed around") that
+// parseLine() could not turn into a rate.
+function parseRates(html) {
+  const items    = [];
+  const failures = [];
+  const seen     = new Set(); // dedup within one day's scrape
+
+  // Split on newlines AND <br> tags — HandyBulk uses both
+  const lines = html.split(/\n|<br\s*\/?>/i);
+
+  for (const line of lines) {
+    const trimmed = line.trim();
+
+    // Must contain "fixed around $" — this is the only reliable signal
+    if (!trimmed.toLowerCase().includes('fixed around')) continue;
+
+    // Must mention a vessel type
+    const tl = trimmed.toLowerCase();
+    if (!tl.includes('handy') && !tl.includes('supramax') &&
+        !tl.includes('ultramax') && !tl.includes('panamax') &&
+        !tl.includes('capesize') && !tl.includes('cape')) continue;
+
+    const parsed = parseLine(trimmed);
+    if (!parsed) {
+      failures.push({ raw: trimmed.replace(/<[^>]+>/g, '').trim(), reason: explainFailure(trimmed) });
+      continue;
+    }
+
+    // Dedup on raw origin+destination text — preserves distinct routes
+    // that happen to map to the same region (e.g. Argentina→Morocco and
+    // Argentina→Algeria are both E.S.AMERICA→W.MED but different trades)
+    const key = `${parsed.vesselType}|${parsed.originText.toLowerCase()}|${parsed.destinationText.toLowerCase()}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    items.push(parsed);
+  }
+
+  return { items, failures };
+}
+
+module.exports = {
+  name:  'handybulk',
+  label: 'HandyBulk',
+  kind:  'tc',
+  table: 'scraped_rates',
+  url:   SOURCE_URL,
+
+  parse: parseRates,
+
+  validate(r) {
+    if (r.rate < 1000 || r.rate > 200000) return `Rate $${r.rate} out of range`;
+    return null;
+  },
+
+  key(r) {
+    return `${r.vesselType}|${r.originText.toLowerCase()}|${r.destinationText.toLowerCase()}`;
+  },
+
+  toRows(items, today) {
+    return items.map(r => ({
+      scraped_date:        today,
+      vessel_type:         r.vesselType,
+      origin_text:         r.originText,
+      destination_text:    r.destinationText,
+      origin_region:       r.originRegion,
+      destination_region:  r.destinationRegion,
+      rate:                r.rate,
+      raw_line:            r.rawLine,
+      source:              'handybulk',
+    }));
+  },
+
+  // Also used by the fixture submission API
+  parseLine,
+};
@@ -0,0 +1,23 @@
+// ══════════════════════════════════════════════════
+// lib/sources/http.js
+// Shared page fetch for source adapters. Both sites
+// we scrape reject requests without browser headers.
+// ══════════════════════════════════════════════════
+
+// Node 18+ has native fetch. This line is a safety
+// fallback for older environments.
+const fetch = globalThis.fetch || require('node-fetch');
+
+const BROWSER_HEADERS = {
+  'User-Agent':      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
+  'Accept':          'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+  'Accept-Language': 'en-US,en;q=0.5',
+};
+
+async function fetchPage(url, label) {
+  const res = await fetch(url, { headers: BROWSER_HEADERS });
+  if (!res.ok) throw new Error(`Failed to fetch ${label || url}: ${res.status}`);
+  return res.text();
+}
+
+module.exports = { BROWSER_HEADERS, fetchPage };
@@ -0,0 +1,153 @@
+// ══════════════════════════════════════════════════
+// lib/sources/index.js
+// Source registry and runner for the daily scrape.
+//
+// A source adapter is a plain object:
+//   name       unique key, stored in scrape_runs.source
+//   label      human-readable name for logs/errors
+//   kind       'tc' | 'bunker'
+//   table      table its rows are inserted into
+//   url        page to fetch
+//   fetch()              optional — defaults to fetchPage(url)
+//   parse(raw)           → { items, failures: [{ raw, reason }] }
+//   validate(item)       optional — null if ok, else a reason
+//   toRows(items, date)  → rows for `table`
+//   key(item)            identity of an item across runs, used
+//                        to diff replayed snapshots (see
+//                        scripts/snapshots.js)
+//
+// To add a source: write an adapter next to this file
+// and add it to SOURCES. The scrape handler runs
+// whatever is registered here.
+//
+// Rows go to the configured store (lib/storage).
+// ══════════════════════════════════════════════════
+
+const { fetchPage } = require('./http');
+const { archiveSnapshot } = require('./snapshots');
+const { openStore } = require('../storage');
+
+// Parse failures kept per run — enough to see what
+// changed on the page without bloating scrape_runs
+const MAX_FAILURE_SAMPLES = 10;
+
+const SOURCES = [
+  require('./handybulk'),
+  require('./shipandbunker'),
+];
+
+function getSource(name) {
+  return SOURCES.find(s => s.name === name) || null;
+}
+
+// ── Insert rows into the store ─────────────────────
+function insertRows(table, rows) {
+  return openStore('write').insert(table, rows);
+}
+
+// ── Parse + validate a raw page ────────────────────
+// Pure — also used to replay archived snapshots offline.
+function parseRaw(src, raw) {
+  const { items, failures } = src.parse(raw);
+
+  const valid = [];
+  for (const item of items) {
+    const reason = src.validate ? src.validate(item) : null;
+    if (reason) failures.push({ raw: item.rawLine || JSON.stringify(item), reason });
+    else valid.push(item);
+  }
+  return { items: valid, failures };
+}
+
+function fetchRaw(src) {
+  return src.fetch ? src.fetch() : fetchPage(src.url, src.label);
+}
+
+// ── Fetch + parse + validate, no DB writes ─────────
+// Used by ?debug=1.
+async function collect(src) {
+  const raw = await fetchRaw(src);
+  return { raw, ...parseRaw(src, raw) };
+}
+
+// ── Run one source end to end ──────────────────────
+// Never throws: every outcome becomes a run record.
+//   status: ok | empty | error
+// opts.raw(src) replaces the live fetch (replaying a
+// saved page — which is then not archived again).
+async function runSource(src, today, opts = {}) {
+  const started = Date.now();
+  const run = {
+    source:          src.name,
+    kind:            src.kind,
+    status:          'ok',
+    rowCount:        0,
+    failureCount:    0,
+    failureSamples:  [],
+    error:           null,
+  };
+
+  try {
+    // Archive before parsing, so a page that breaks the
+    // parser is still there to replay once it is fixed
+    const raw = opts.raw ? await opts.raw(src) : await fetchRaw(src);
+    if (!opts.raw) await archiveSnapshot(src, raw, today);
+
+    const { items, failures } = parseRaw(src, raw);
+    run.failureCount   = failures.length;
+    run.failureSamples = failures.slice(0, MAX_FAILURE_SAMPLES);
+
+    const rows = src.toRows(items, today);
+    if (rows.length === 0) {
+      run.status = 'empty';
+      run.error  = 'No rows parsed — page structure may have changed';
+    } else {
+      await insertRows(src.table, rows);
+      run.rowCount = rows.length;
+    }
+  } catch (err) {
+    run.status = 'error';
+    run.error  = err.message;
+  }
+
+  run.durationMs = Date.now() - started;
+  return run;
+}
+
+// ── Record run outcomes in scrape_runs ─────────────
+// Non-fatal: a failed health write must not fail the scrape.
+async function recordRuns(runs, runAt) {
+  const rows = runs.map(r => ({
+    run_at:          runAt,
+    source:          r.source,
+    kind:            r.kind,
+    status:          r.status,
+    row_count:       r.rowCount,
+    failure_count:   r.failureCount,
+    failure_samples: r.failureSamples,
+    error:           r.error,
+    duration_ms:     r.durationMs,
+  }));
+  try {
+    await insertRows('scrape_runs', rows);
+  } catch (err) {
+    console.error('[scrape] could not record runs:', err.message);
+  }
+}
+
+// ── Run every registered source ────────────────────
+// opts: { raw, date, sources } — see runSource; date
+// stamps the rows (default today), sources limits the
+// run to those names.
+async function runAll(opts = {}) {
+  const runAt = new Date().toISOString();
+  const today = opts.date || runAt.split('T')[0];
+  const sources = opts.sources ? SOURCES.filter(s => opts.sources.includes(s.name)) : SOURCES;
+
+  const runs = await Promise.all(sources.map(src => runSource(src, today, opts)));
+  await recordRuns(runs, runAt);
+
+  return { date: today, runAt, sources: runs };
+}
+
+module.exports = { SOURCES, getSource, parseRaw, collect, runSource, runAll };
@@ -0,0 +1,129 @@
+// ══════════════════════════════════════════════════
+// lib/sources/shipandbunker.js
+// Bunker price source: Ship & Bunker prices page.
+// The page has one price table per grade — VLSFO,
+// MGO and IFO380 (HSFO, for scrubber-fitted ships).
+// We look for table rows matching the hubs listed in
+// app/data/bunkerhubs.json, which the calculator also
+// uses to map every port to its nearest hub.
+//
+// bunker_prices needs an hsfo column (numeric, null
+// when the page has no IFO380 price for a hub).
+// ══════════════════════════════════════════════════
+
+const { hubs } = require('../../app/data/bunkerhubs.json');
+
+const BUNKER_HUBS   = hubs.map(h => h.hub);
+const BUNKER_SOURCE = 'https://shipandbunker.com/prices';
+
+// Sanity range for a $/mt bunker price
+const MIN_PRICE = 200;
+const MAX_PRICE = 2000;
+
+// Heading text before a table → grade; tables with no
+// recognisable heading are taken in page order
+const GRADE_LABELS = [
+  { grade: 'vlsfo', re: /VLSFO/i },
+  { grade: 'mgo',   re: /MGO/i },
+  { grade: 'hsfo',  re: /IFO\s*380|HSFO/i },
+];
+const GRADE_ORDER = ['vlsfo', 'mgo', 'hsfo'];
+
+// Parse a table for hub prices
+function parseTable(tableHtml) {
+  const result = {};
+  if (!tableHtml) return result;
+  // Match rows: look for hub name followed by price
+  for (const hub of BUNKER_HUBS) {
+    // Pattern: hub name in a cell, followed by price in next cell
+    const re = new RegExp('>' + hub + '<[\\s\\S]{0,200}?>(\\d{3,4}\\.\\d{2})<', 'i');
+    const m = tableHtml.match(re);
+    if (m) result[hub] = parseFloat(m[1]);
+  }
+  return result;
+}
+
+// ── Parse the full HTML page ───────────────────────
+// Each table row looks like:
+//   <td ...><a ...>Singapore</a></td><td ...>516.00</td>...
+// Strategy: find the price tables (they contain 'Global
+// 20 Ports Average' or a hub name), tell the grades
+// apart by the heading just before each one, and read
+// every hub out of each.
+function parsePrices(html) {
+  const tables = {};
+  let unlabelled = 0;
+  for (const m of html.matchAll(/<table[\s\S]*?<\/table>/gi)) {
+    const t = m[0];
+    if (!t.includes('Global 20 Ports Average') && !BUNKER_HUBS.some(h => t.includes(h))) continue;
+    // Nearest grade heading wins — the previous table's
+    // heading can still be in range
+    const before = html.slice(Math.max(0, m.index - 300), m.index).replace(/<[^>]+>/g, ' ');
+    let grade = null, at = -1;
+    for (const g of GRADE_LABELS) {
+      for (const hit of before.matchAll(new RegExp(g.re.source, 'gi'))) {
+        if (hit.index > at) { at = hit.index; grade = g.grade; }
+      }
+    }
+    if (!grade) grade = GRADE_ORDER[unlabelled++];
+    if (grade && !tables[grade]) tables[grade] = t;
+  }
+
+  const prices = {};
+  for (const grade of GRADE_ORDER) prices[grade] = parseTable(tables[grade]);
+
+  // A hub missing from every table is a failure, so run
+  // health and the snapshot check show a hub that stops
+  // parsing; the calculator prices it from its fallback
+  // values meanwhile
+  const items    = [];
+  const failures = [];
+  const noTables = !tables.vlsfo && !tables.mgo;
+  if (noTables) failures.push({ raw: BUNKER_SOURCE, reason: 'No price tables on page' });
+  for (const hub of BUNKER_HUBS) {
+    if (!GRADE_ORDER.some(g => prices[g][hub])) {
+      if (!noTables) failures.push({ raw: hub, reason: 'Hub not found in price tables' });
+      continue;
+    }
+    items.push({
+      hub,
+      vlsfo: prices.vlsfo[hub] || null,
+      mgo:   prices.mgo[hub]   || null,
+      hsfo:  prices.hsfo[hub]  || null,
+    });
+  }
+
+  return { items, failures };
+}
+
+module.exports = {
+  name:  'shipandbunker',
+  label: 'Ship & Bunker',
+  kind:  'bunker',
+  table: 'bunker_prices',
+  url:   BUNKER_SOURCE,
+
+  parse: parsePrices,
+
+  validate(p) {
+    for (const grade of GRADE_ORDER) {
+      const px = p[grade];
+      if (px !== null && (px < MIN_PRICE || px > MAX_PRICE)) return `${grade.toUpperCase()} $${px} out of range`;
+    }
+    return null;
+  },
+
+  key(p) {
+    return p.hub;
+  },
+
+  toRows(items, today) {
+    return items.map(p => ({
+      scraped_date: today,
+      hub:          p.hub,
+      vlsfo:        p.vlsfo,
+      mgo:          p.mgo,
+      hsfo:         p.hsfo,
+    }));
+  },
+};
@@ -0,0 +1,116 @@
+// ══════════════════════════════════════════════════
+// lib/sources/snapshots.js
+// Dated archive of every page the scraper fetches, and
+// the golden-file diff used to replay them offline.
+//
+// Archive target:
+//   SNAPSHOT_DIR set  → <dir>/<source>/<date>.html
+//   otherwise         → page_snapshots table in the store
+//                       (source, scraped_date, fetched_at, html)
+//
+// On disk each snapshot can have a golden file beside
+// it — <name>.golden.json — holding the parsed items
+// and failures it is expected to produce.
+// ══════════════════════════════════════════════════
+
+const fs   = require('fs');
+const path = require('path');
+
+const { openStore } = require('../storage');
+
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR;
+
+// Repo location used by scripts/snapshots.js
+const DEFAULT_DIR = path.join(__dirname, '..', '..', 'data', 'snapshots');
+
+// ── Archive one fetched page ───────────────────────
+// Non-fatal: losing a snapshot must not fail the scrape.
+async function archiveSnapshot(src, raw, date) {
+  try {
+    if (SNAPSHOT_DIR) {
+      const dir = path.join(SNAPSHOT_DIR, src.name);
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, `${date}.html`), raw);
+      return;
+    }
+    await openStore('write').insert('page_snapshots', [{
+      source:       src.name,
+      scraped_date: date,
+      fetched_at:   new Date().toISOString(),
+      html:         raw,
+    }]);
+  } catch (err) {
+    console.error(`[scrape] could not archive ${src.name} snapshot:`, err.message);
+  }
+}
+
+// ── Snapshots on disk for one source ───────────────
+// Returns [{ name, htmlPath, goldenPath }] sorted by name
+// (dated names sort chronologically).
+function listSnapshots(dir, sourceName) {
+  const srcDir = path.join(dir, sourceName);
+  if (!fs.existsSync(srcDir)) return [];
+  return fs.readdirSync(srcDir)
+    .filter(f => f.endsWith('.html'))
+    .sort()
+    .map(f => {
+      const name = f.replace(/\.html$/, '');
+      return {
+        name,
+        htmlPath:   path.join(srcDir, f),
+        goldenPath: path.join(srcDir, `${name}.golden.json`),
+      };
+    });
+}
+
+// ── Closest current failure to a lost item ─────────
+// A lost line usually still exists but now fails, often
+// with one word changed — match on shared words.
+function matchFailure(raw, failures) {
+  const words = new Set(raw.toLowerCase().split(/\s+/));
+  let best = null, bestScore = 0;
+  for (const f of failures) {
+    const fw = f.raw.toLowerCase().split(/\s+/);
+    const score = fw.filter(w => words.has(w)).length / Math.max(words.size, fw.length);
+    if (score > bestScore) { best = f; bestScore = score; }
+  }
+  return bestScore >= 0.6 ? best : null;
+}
+
+// ── Compare a replay against its golden file ───────
+// lost     — in the golden items, no longer parsed
+//            (with the failure reason if it now fails)
+// changed  — still parsed, but the values differ
+//            (fields lists which)
+// gained   — parsed now, not in the golden file
+// newFailures — candidate lines failing that did not before
+//
+// lost and changed are regressions; gained is not, but
+// means the golden file should be refreshed.
+function diffAgainstGolden(src, golden, current) {
+  const goldenItems = new Map(golden.items.map(i => [src.key(i), i]));
+  const currentItems = new Map(current.items.map(i => [src.key(i), i]));
+  const goldenFailures = new Set(golden.failures.map(f => f.raw));
+
+  const lost = [], changed = [], gained = [];
+  for (const [key, item] of goldenItems) {
+    const now = currentItems.get(key);
+    if (!now) {
+      const raw = item.rawLine || key;
+      const failure = matchFailure(raw, current.failures);
+      lost.push({ key, raw, reason: failure ? failure.reason : 'No longer found on the page' });
+    } else if (JSON.stringify(now) !== JSON.stringify(item)) {
+      const fields = Object.keys({ ...item, ...now })
+        .filter(k => JSON.stringify(item[k]) !== JSON.stringify(now[k]));
+      changed.push({ key, fields, was: item, now });
+    }
+  }
+  for (const [key, item] of currentItems) {
+    if (!goldenItems.has(key)) gained.push({ key, item });
+  }
+  const newFailures = current.failures.filter(f => !goldenFailures.has(f.raw));
+
+  return { lost, changed, gained, newFailures, regressed: lost.length > 0 || changed.length > 0 };
+}
+
+module.exports = { DEFAULT_DIR, archiveSnapshot, listSnapshots, diffAgainstGolden };
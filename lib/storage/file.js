@@ -0,0 +1,117 @@
+// ══════════════════════════════════════════════════
+// lib/storage/file.js
+// Store adapter over JSON files: one array of rows per
+// table in STORAGE_DIR (default .data/ at the repo
+// root), for running everything offline.
+//
+// Files are read on every call and replaced whole on
+// every write, so the dev server and a scrape run in
+// another process see each other's rows. Fine for a
+// developer's few thousand rows — not a database.
+//
+// Rows without an id get the next integer, as the
+// tables' serial ids would in Postgres.
+// ══════════════════════════════════════════════════
+
+const fs   = require('fs');
+const path = require('path');
+
+const DEFAULT_DIR = path.join(__dirname, '..', '..', '.data');
+
+const OPS = {
+  eq:  (a, b) => a === b || (a !== null && a !== undefined && String(a) === String(b)),
+  neq: (a, b) => !OPS.eq(a, b),
+  lt:  (a, b) => a !== null && a < b,
+  lte: (a, b) => a !== null && a <= b,
+  gt:  (a, b) => a !== null && a > b,
+  gte: (a, b) => a !== null && a >= b,
+  in:  (a, list) => list.some(v => OPS.eq(a, v)),
+};
+
+const matches = (row, where = []) => where.every(([c, op, v]) => {
+  if (!OPS[op]) throw new Error(`Unsupported filter op "${op}"`);
+  return OPS[op](row[c] ?? null, v);
+});
+
+// Nulls last, as Postgres sorts ascending
+function compare(order) {
+  return (a, b) => {
+    for (const [c, dir = 'asc'] of order) {
+      const x = a[c] ?? null, y = b[c] ?? null;
+      if (x === y) continue;
+      if (x === null) return 1;
+      if (y === null) return -1;
+      const d = x < y ? -1 : 1;
+      return dir === 'desc' ? -d : d;
+    }
+    return 0;
+  };
+}
+
+function createStore() {
+  const dir = process.env.STORAGE_DIR || DEFAULT_DIR;
+  const file = table => path.join(dir, `${table}.json`);
+
+  const read = table => (fs.existsSync(file(table)) ? JSON.parse(fs.readFileSync(file(table), 'utf8')) : []);
+  function write(table, rows) {
+    fs.mkdirSync(dir, { recursive: true });
+    const tmp = file(table) + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(rows, null, 1));
+    fs.renameSync(tmp, file(table));
+  }
+  const withId = (rows, incoming) => {
+    let next = rows.reduce((m, r) => (typeof r.id === 'number' && r.id > m ? r.id : m), 0) + 1;
+    return incoming.map(r => (r.id === undefined ? { id: next++, ...r } : { ...r }));
+  };
+
+  return {
+    name: 'file',
+
+    async select(table, query = {}) {
+      let rows = read(table).filter(r => matches(r, query.where));
+      if (query.order && query.order.length) rows.sort(compare(query.order));
+      const offset = query.offset || 0;
+      rows = rows.slice(offset, query.limit ? offset + query.limit : undefined);
+      if (query.select && query.select !== '*') {
+        const cols = query.select.split(',');
+        rows = rows.map(r => Object.fromEntries(cols.map(c => [c, r[c] ?? null])));
+      }
+      return rows;
+    },
+
+    async insert(table, rows, opts = {}) {
+      const all = read(table);
+      const keys = opts.unique || [];
+      if (keys.length && rows.some(row => all.some(r => keys.every(k => OPS.eq(r[k] ?? null, row[k] ?? null))))) {
+        throw Object.assign(new Error(`Insert into ${table} clashes on ${keys.join(', ')}`), { conflict: true });
+      }
+      const added = withId(all, rows);
+      write(table, all.concat(added));
+      return opts.returning ? added : null;
+    },
+
+    async upsert(table, rows, keys) {
+      const all = read(table);
+      for (const row of rows) {
+        const i = all.findIndex(r => keys.every(k => OPS.eq(r[k] ?? null, row[k] ?? null)));
+        if (i === -1) all.push(...withId(all, [row]));
+        else all[i] = { ...all[i], ...row };
+      }
+      write(table, all);
+    },
+
+    async update(table, where, patch) {
+      const all = read(table);
+      const updated = [];
+      for (let i = 0; i < all.length; i++) {
+        if (!matches(all[i], where)) continue;
+        all[i] = { ...all[i], ...patch };
+        updated.push(all[i]);
+      }
+      if (updated.length) write(table, all);
+      return updated;
+    },
+  };
+}
+
+module.exports = { DEFAULT_DIR, createStore };
@@ -0,0 +1,54 @@
+// ══════════════════════════════════════════════════
+// lib/storage/index.js
+// Storage backend for every table the API and the
+// scraper use, chosen by environment:
+//   STORAGE=supabase  Supabase (PostgREST) — the default
+//                     when SUPABASE_URL is set
+//   STORAGE=file      JSON files under STORAGE_DIR
+//                     (default .data/); no keys, no
+//                     network. Never chosen implicitly —
+//                     scripts/dev-server.js sets it
+// With neither STORAGE nor SUPABASE_URL set, opening a
+// store throws rather than quietly writing to disk.
+//
+// A store is a plain object:
+//   select(table, query)          → rows
+//   insert(table, rows, opts)     → rows if opts.returning;
+//                                 a row clashing on the
+//                                 opts.unique keys throws
+//                                 an error with .conflict
+//   upsert(table, rows, keys)     insert, or replace the
+//                                 row with the same keys
+//   update(table, where, patch)   → updated rows
+//
+// query: { select: 'a,b' | '*', where, order, limit, offset }
+//   where  [[column, op, value]] — op is eq, neq, lt,
+//          lte, gt, gte or in (value an array); all must hold
+//   order  [[column, 'asc' | 'desc']]
+// select returns every matching row, paging past any
+// backend row cap itself, unless limit is given.
+//
+// role 'read' uses the public read-only key, 'write'
+// the service role key; the file store ignores it.
+// ══════════════════════════════════════════════════
+
+const ADAPTERS = {
+  supabase: () => require('./supabase'),
+  file:     () => require('./file'),
+};
+
+function backendName() {
+  const name = process.env.STORAGE || (process.env.SUPABASE_URL ? 'supabase' : null);
+  if (!name) throw new Error('No storage configured — set SUPABASE_URL, or STORAGE=file for local data');
+  if (!ADAPTERS[name]) throw new Error(`Unknown STORAGE "${name}" — use ${Object.keys(ADAPTERS).join(' or ')}`);
+  return name;
+}
+
+const stores = {};
+function openStore(role = 'read') {
+  const key = `${backendName()}:${role}`;
+  if (!stores[key]) stores[key] = ADAPTERS[backendName()]().createStore(role);
+  return stores[key];
+}
+
+module.exports = { openStore, backendName };
@@ -0,0 +1,99 @@
+// ══════════════════════════════════════════════════
+// lib/storage/supabase.js
+// Store adapter over Supabase's PostgREST API.
+//
+// Supabase returns at most DB_PAGE_ROWS rows per
+// request whatever limit= asks for, so select pages
+// with offset until it has every row (or `limit`).
+// Queries that can exceed a page need an order that
+// is a total order, or paging may skip or repeat rows.
+// ══════════════════════════════════════════════════
+
+const fetch = globalThis.fetch || require('node-fetch');
+
+const DB_PAGE_ROWS = 1000;
+const MAX_DB_ROWS  = 50000;
+
+// PostgREST filter value: in-lists are quoted, since
+// region codes contain dots and spaces
+function filterParam([column, op, value]) {
+  if (op === 'in') return `${column}=in.(${value.map(v => encodeURIComponent(`"${v}"`)).join(',')})`;
+  return `${column}=${op}.${encodeURIComponent(value)}`;
+}
+
+function queryString({ select = '*', where = [], order = [] } = {}) {
+  return [
+    `select=${select}`,
+    ...where.map(filterParam),
+    order.length ? `order=${order.map(([c, dir]) => `${c}.${dir || 'asc'}`).join(',')}` : null,
+  ].filter(Boolean).join('&');
+}
+
+function createStore(role) {
+  const url = process.env.SUPABASE_URL;
+  const key = role === 'write' ? process.env.SUPABASE_SERVICE_KEY  // service role key (write access)
+                               : process.env.SUPABASE_ANON_KEY;    // public read-only key
+  const headers = {
+    'apikey':        key,
+    'Authorization': `Bearer ${key}`,
+    'Content-Type':  'application/json',
+  };
+
+  async function request(table, qs, opts, what) {
+    const res = await fetch(`${url}/rest/v1/${table}${qs ? '?' + qs : ''}`, {
+      ...opts,
+      headers: { ...headers, ...(opts.headers || {}) },
+    });
+    if (!res.ok) {
+      const err = new Error(`Supabase ${what} ${table} failed: ${res.status} ${await res.text()}`);
+      err.conflict = res.status === 409;   // a unique constraint
+      throw err;
+    }
+    return res;
+  }
+
+  return {
+    name: 'supabase',
+
+    async select(table, query = {}) {
+      const qs = queryString(query);
+      const want = query.limit ?? MAX_DB_ROWS;
+      const rows = [];
+      for (let offset = query.offset || 0; rows.length < want; offset += DB_PAGE_ROWS) {
+        const n = Math.min(DB_PAGE_ROWS, want - rows.length);
+        const page = await (await request(table, `${qs}&limit=${n}&offset=${offset}`, {}, 'query on')).json();
+        rows.push(...page);
+        if (page.length < n) break;
+      }
+      return rows;
+    },
+
+    async insert(table, rows, opts = {}) {
+      const res = await request(table, '', {
+        method:  'POST',
+        headers: { 'Prefer': opts.returning ? 'return=representation' : 'return=minimal' },
+        body:    JSON.stringify(rows),
+      }, 'insert into');
+      return opts.returning ? res.json() : null;
+    },
+
+    async upsert(table, rows, keys) {
+      await request(table, `on_conflict=${keys.join(',')}`, {
+        method:  'POST',
+        headers: { 'Prefer': 'resolution=merge-duplicates,return=minimal' },
+        body:    JSON.stringify(rows),
+      }, 'upsert into');
+    },
+
+    async update(table, where, patch) {
+      const res = await request(table, where.map(filterParam).join('&'), {
+        method:  'PATCH',
+        headers: { 'Prefer': 'return=representation' },
+        body:    JSON.stringify(patch),
+      }, 'update of');
+      return res.json();
+    },
+  };
+}
+
+module.exports = { createStore };
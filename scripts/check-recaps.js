@@ -0,0 +1,58 @@
+// ══════════════════════════════════════════════════
+// scripts/check-recaps.js
+// Runs every recap in data/recaps/corpus.json through
+// lib/recap.js and compares the fields each case lists
+// under `expect`. Exits non-zero on any mismatch.
+//
+//   npm run check:recaps
+//   npm run check:recaps -- --verbose   (print all fields)
+// ══════════════════════════════════════════════════
+
+const path = require('path');
+const { parseRecap } = require('../lib/recap');
+
+const CORPUS = path.join(__dirname, '..', 'data', 'recaps', 'corpus.json');
+const verbose = process.argv.includes('--verbose');
+
+// Ports are compared by id; everything else by value
+function actualValue(field, name) {
+  if (field.value && (name === 'loadPort' || name === 'dischargePort')) return field.value.id;
+  return field.value;
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const { cases } = require(CORPUS);
+let failed = 0;
+
+for (const c of cases) {
+  const result = parseRecap(c.text, { now: c.now });
+  const diffs = [];
+
+  for (const [name, expected] of Object.entries(c.expect)) {
+    const field = result.fields[name];
+    if (!field) { diffs.push(`  ${name}: unknown field`); continue; }
+    const actual = actualValue(field, name);
+    if (!same(actual, expected)) {
+      diffs.push(`  ${name}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`
+        + (field.reason ? ` (${field.reason})` : ''));
+    }
+  }
+
+  if (diffs.length) {
+    failed++;
+    console.log(`✗ ${c.name}`);
+    console.log(diffs.join('\n'));
+  } else {
+    console.log(`✓ ${c.name}`);
+  }
+
+  if (verbose) {
+    for (const [name, f] of Object.entries(result.fields)) {
+      console.log(`    ${name.padEnd(14)} ${JSON.stringify(actualValue(f, name))}  ${f.confidence}${f.reason ? '  — ' + f.reason : ''}`);
+    }
+  }
+}
+
+console.log(`\n${cases.length - failed}/${cases.length} recaps parsed as expected`);
+process.exit(failed ? 1 : 0);
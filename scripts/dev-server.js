@@ -0,0 +1,137 @@
+// ══════════════════════════════════════════════════
+// scripts/dev-server.js
+// Local stand-in for Vercel: serves app/ and runs the
+// api/ handlers on one port, so the calculator works
+// end to end on a laptop.
+//
+//   npm run dev [-- --port 3000]
+//
+// Storage defaults to the JSON-file store (.data/);
+// set STORAGE=supabase with the usual keys to point
+// at a real project instead. Fill the local store with
+// `STORAGE=file npm run scrape -- --snapshot example`.
+//
+// Routing follows Vercel's: /api/index/build runs
+// api/index/build.js, and /api/index falls back to
+// api/index/index.js. Handlers are re-required on each
+// request, so edits show up without a restart.
+// ══════════════════════════════════════════════════
+
+const http = require('http');
+const fs   = require('fs');
+const path = require('path');
+
+if (!process.env.STORAGE && !process.env.SUPABASE_URL) process.env.STORAGE = 'file';
+
+const ROOT    = path.join(__dirname, '..');
+const APP_DIR = path.join(ROOT, 'app');
+const API_DIR = path.join(ROOT, 'api');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const MIME = {
+  '.html': 'text/html; charset=utf-8',
+  '.js':   'text/javascript; charset=utf-8',
+  '.css':  'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg':  'image/svg+xml',
+  '.png':  'image/png',
+  '.ico':  'image/x-icon',
+};
+
+const args = process.argv.slice(2);
+const opt = name => {
+  const i = args.indexOf(`--${name}`);
+  return i === -1 ? null : args[i + 1];
+};
+const port = parseInt(opt('port') || process.env.PORT, 10) || 3000;
+
+// Resolve a path under base, refusing anything that
+// climbs out of it
+function within(base, rel) {
+  const full = path.join(base, rel);
+  return full === base || full.startsWith(base + path.sep) ? full : null;
+}
+
+// ── Static files from app/ ─────────────────────────
+function serveStatic(pathname, res) {
+  let file = within(APP_DIR, decodeURIComponent(pathname));
+  if (file && fs.existsSync(file) && fs.statSync(file).isDirectory()) file = path.join(file, 'index.html');
+  if (!file || !fs.existsSync(file)) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    return res.end('Not found');
+  }
+  res.writeHead(200, { 'Content-Type': MIME[path.extname(file)] || 'application/octet-stream' });
+  fs.createReadStream(file).pipe(res);
+}
+
+// ── Vercel's req/res helpers ───────────────────────
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) reject(new Error('Body too large'));
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+function parseBody(req, text) {
+  if (!text) return undefined;
+  if (!(req.headers['content-type'] || '').includes('application/json')) return text;
+  try { return JSON.parse(text); }
+  catch (e) { return text; }   // handlers answer 400 on a string body
+}
+
+function decorate(res) {
+  res.status = code => { res.statusCode = code; return res; };
+  res.json = obj => {
+    if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(obj));
+    return res;
+  };
+  res.send = body => {
+    if (body !== null && typeof body === 'object' && !Buffer.isBuffer(body)) return res.json(body);
+    res.end(body);
+    return res;
+  };
+  return res;
+}
+
+// ── api/ handlers ──────────────────────────────────
+async function serveApi(pathname, req, res) {
+  const base = pathname.replace(/^\/api/, '').replace(/\/$/, '');
+  const file = [`${base}.js`, `${base}/index.js`].map(f => within(API_DIR, f)).find(f => f && fs.existsSync(f));
+  if (!file) {
+    return res.status(404).json({ error: `No handler for ${pathname}` });
+  }
+
+  delete require.cache[require.resolve(file)];
+  const handler = require(file);
+
+  req.query = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+  req.body  = parseBody(req, await readBody(req));
+  await handler(req, res);
+}
+
+const server = http.createServer(async (req, res) => {
+  const started  = Date.now();
+  const pathname = new URL(req.url, 'http://localhost').pathname;
+  decorate(res);
+  res.on('finish', () => console.log(`${req.method} ${req.url} → ${res.statusCode} (${Date.now() - started}ms)`));
+
+  try {
+    if (pathname === '/api' || pathname.startsWith('/api/')) await serveApi(pathname, req, res);
+    else serveStatic(pathname, res);
+  } catch (err) {
+    console.error(`[dev] ${req.method} ${req.url}:`, err.stack || err.message);
+    if (!res.headersSent) res.status(500).json({ error: err.message });
+    else res.end();
+  }
+});
+
+server.listen(port, () => {
+  console.log(`DryFreight dev server on http://localhost:${port}/ (storage: ${process.env.STORAGE || 'supabase'})`);
+});
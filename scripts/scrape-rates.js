@@ -0,0 +1,91 @@
+// ══════════════════════════════════════════════════
+// scripts/scrape-rates.js
+// Runs the daily scrape from the command line, into
+// whichever store lib/storage selects.
+//
+//   npm run scrape
+//       Fetch every source live, as the cron does.
+//
+//   npm run scrape -- --snapshot example [--date 2026-10-19]
+//       Replay data/snapshots/<source>/example.html for
+//       each source that has it — no network. With
+//       STORAGE=file this fills a local .data/ store.
+//
+//   --source handybulk   only that source
+//   --date YYYY-MM-DD    date to stamp the rows (default today)
+//   --index              also build the freight index for the date
+//
+// Alert subscriptions are evaluated afterwards, as in
+// api/scrape.js.
+// ══════════════════════════════════════════════════
+
+const fs   = require('fs');
+const path = require('path');
+
+const { SOURCES, getSource, runAll } = require('../lib/sources');
+const { DEFAULT_DIR } = require('../lib/sources/snapshots');
+const { runAlerts } = require('../lib/alerts');
+const { COMPOSITE, runIndex } = require('../lib/freightindex');
+const { backendName } = require('../lib/storage');
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const args = process.argv.slice(2);
+const opt = name => {
+  const i = args.indexOf(`--${name}`);
+  return i === -1 ? null : args[i + 1];
+};
+
+const snapshotDir = process.env.SNAPSHOT_DIR || DEFAULT_DIR;
+const snapshotFile = (src, name) => path.join(snapshotDir, src.name, `${name}.html`);
+
+function fail(message) {
+  console.error(message);
+  process.exit(2);
+}
+
+async function main() {
+  const date     = opt('date');
+  const snapshot = opt('snapshot');
+  const only     = opt('source');
+
+  if (date && !DATE_RE.test(date)) fail('--date must be YYYY-MM-DD');
+  if (only && !getSource(only)) fail(`Unknown source "${only}". Sources: ${SOURCES.map(s => s.name).join(', ')}`);
+
+  let sources = only ? [only] : SOURCES.map(s => s.name);
+  if (snapshot) {
+    sources = sources.filter(name => fs.existsSync(snapshotFile(getSource(name), snapshot)));
+    if (!sources.length) fail(`No snapshot "${snapshot}" under ${snapshotDir}`);
+  }
+
+  console.log(`Scraping into ${backendName()} store${snapshot ? ` from snapshot "${snapshot}"` : ''}…`);
+  const result = await runAll({
+    date:    date || undefined,
+    sources,
+    raw:     snapshot ? src => fs.readFileSync(snapshotFile(src, snapshot), 'utf8') : undefined,
+  });
+
+  for (const r of result.sources) {
+    console.log(`  ${r.status === 'ok' ? '✓' : '✗'} ${r.source.padEnd(16)} ${r.status.padEnd(6)} ${r.rowCount} rows, ${r.failureCount} unparsed${r.error ? ` — ${r.error}` : ''}`);
+  }
+
+  try {
+    const alerts = await runAlerts(result.date);
+    console.log(`Alerts: ${Object.entries(alerts).map(([k, v]) => `${k}=${v}`).join(' ')}`);
+  } catch (err) {
+    console.error('Alerts error:', err.message);
+  }
+
+  if (args.includes('--index')) {
+    const built = await runIndex(result.date);
+    const classes = Object.entries(built.classes).map(([vt, c]) => `${vt}=${c.stale ? 'stale' : c.value}`);
+    console.log(`Index ${result.date}: ${COMPOSITE}=${built.composite} ${classes.join(' ')}`);
+  }
+
+  if (result.sources.some(r => r.status === 'error')) process.exitCode = 1;
+}
+
+main().catch(err => {
+  console.error(err.stack || err.message);
+  process.exit(1);
+});
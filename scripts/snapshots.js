@@ -0,0 +1,139 @@
+// ══════════════════════════════════════════════════
+// scripts/snapshots.js
+// Offline replay of archived scraper pages.
+//
+//   node scripts/snapshots.js pull   [--days 30] [--source handybulk]
+//       Download page_snapshots from the store
+//       (lib/storage) into data/snapshots/<source>/<date>.html
+//
+//   node scripts/snapshots.js check  [--source handybulk]
+//       Replay every snapshot through its adapter's
+//       parser and diff against <date>.golden.json.
+//       Exits non-zero if any lane is lost or changed.
+//
+//   node scripts/snapshots.js update [--source handybulk] [name…]
+//       (Re)write golden files from the current parser.
+//       Run after an intended change to REGION_MAP or
+//       parseLine(), and review the diff in git.
+//
+// No network is needed for check/update.
+// ══════════════════════════════════════════════════
+
+const fs   = require('fs');
+const path = require('path');
+
+const { SOURCES, getSource, parseRaw } = require('../lib/sources');
+const { DEFAULT_DIR, listSnapshots, diffAgainstGolden } = require('../lib/sources/snapshots');
+const { openStore } = require('../lib/storage');
+
+const args = process.argv.slice(2);
+const command = args[0];
+const opt = name => {
+  const i = args.indexOf(`--${name}`);
+  return i === -1 ? null : args[i + 1];
+};
+const names = args.slice(1).filter((a, i, all) => !a.startsWith('--') && !(all[i - 1] || '').startsWith('--'));
+
+const dir = process.env.SNAPSHOT_DIR || DEFAULT_DIR;
+
+function selectedSources() {
+  const name = opt('source');
+  if (!name) return SOURCES;
+  const src = getSource(name);
+  if (!src) {
+    console.error(`Unknown source "${name}". Sources: ${SOURCES.map(s => s.name).join(', ')}`);
+    process.exit(2);
+  }
+  return [src];
+}
+
+// ── pull ───────────────────────────────────────────
+async function pull() {
+  const days = parseInt(opt('days'), 10) || 30;
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - days);
+  const cutoffStr = cutoff.toISOString().split('T')[0];
+
+  for (const src of selectedSources()) {
+    const rows = await openStore('write').select('page_snapshots', {
+      select: 'scraped_date,html',
+      where:  [['source', 'eq', src.name], ['scraped_date', 'gte', cutoffStr]],
+      order:  [['scraped_date', 'asc']],
+    });
+
+    const srcDir = path.join(dir, src.name);
+    fs.mkdirSync(srcDir, { recursive: true });
+    let written = 0;
+    for (const row of rows) {
+      const file = path.join(srcDir, `${row.scraped_date}.html`);
+      if (fs.existsSync(file)) continue;
+      fs.writeFileSync(file, row.html);
+      written++;
+    }
+    console.log(`${src.name}: ${written} new snapshot(s), ${rows.length - written} already on disk`);
+  }
+}
+
+// ── update ─────────────────────────────────────────
+function update() {
+  for (const src of selectedSources()) {
+    for (const snap of listSnapshots(dir, src.name)) {
+      if (names.length && !names.includes(snap.name)) continue;
+      const result = parseRaw(src, fs.readFileSync(snap.htmlPath, 'utf8'));
+      const golden = { source: src.name, snapshot: snap.name, items: result.items, failures: result.failures };
+      fs.writeFileSync(snap.goldenPath, JSON.stringify(golden, null, 2) + '\n');
+      console.log(`wrote ${path.relative(process.cwd(), snap.goldenPath)} — ${result.items.length} items, ${result.failures.length} failures`);
+    }
+  }
+}
+
+// ── check ──────────────────────────────────────────
+function check() {
+  let regressions = 0, missing = 0, total = 0;
+
+  for (const src of selectedSources()) {
+    for (const snap of listSnapshots(dir, src.name)) {
+      total++;
+      const label = `${src.name}/${snap.name}`;
+      const current = parseRaw(src, fs.readFileSync(snap.htmlPath, 'utf8'));
+
+      if (!fs.existsSync(snap.goldenPath)) {
+        missing++;
+        console.log(`? ${label} — no golden file (run: node scripts/snapshots.js update --source ${src.name} ${snap.name})`);
+        continue;
+      }
+
+      const golden = JSON.parse(fs.readFileSync(snap.goldenPath, 'utf8'));
+      const d = diffAgainstGolden(src, golden, current);
+
+      if (d.regressed) {
+        regressions++;
+        console.log(`✗ ${label} — ${d.lost.length} lost, ${d.changed.length} changed`);
+      } else {
+        console.log(`✓ ${label} — ${current.items.length} items, ${current.failures.length} failures`);
+      }
+      for (const l of d.lost)        console.log(`    - lost     ${l.key}\n               ${l.raw}\n               → ${l.reason}`);
+      for (const c of d.changed) {
+        console.log(`    ~ changed  ${c.key}`);
+        for (const k of c.fields) console.log(`               ${k}: ${JSON.stringify(c.was[k])} → ${JSON.stringify(c.now[k])}`);
+      }
+      for (const g of d.gained)      console.log(`    + gained   ${g.key}`);
+      for (const f of d.newFailures) console.log(`    ! failing  ${f.raw}\n               → ${f.reason}`);
+    }
+  }
+
+  console.log(`\n${total} snapshot(s): ${regressions} regressed, ${missing} without golden file`);
+  process.exit(regressions ? 1 : 0);
+}
+
+const COMMANDS = { pull, check, update };
+
+if (!COMMANDS[command]) {
+  console.error('Usage: node scripts/snapshots.js <pull|check|update> [--source name] [--days N] [snapshot…]');
+  process.exit(2);
+}
+
+Promise.resolve(COMMANDS[command]()).catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
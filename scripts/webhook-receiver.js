@@ -0,0 +1,49 @@
+// ══════════════════════════════════════════════════
+// scripts/webhook-receiver.js
+// Local stand-in for an alert webhook endpoint: checks
+// each delivery's signature and prints it.
+//
+//   npm run webhook:listen -- --secret <secret> [--port 8787] [--fail 2]
+//
+// --fail N answers 500 to the first N requests, to
+// watch the retries. Subscribe with
+// webhookUrl http://localhost:8787/ and run the
+// alerts with ALERTS_ALLOW_HTTP=1 set.
+// ══════════════════════════════════════════════════
+
+const http = require('http');
+const { SIGNATURE_HEADER, verifySignature } = require('../lib/alerts');
+
+const args = process.argv.slice(2);
+const opt = name => {
+  const i = args.indexOf(`--${name}`);
+  return i === -1 ? null : args[i + 1];
+};
+
+const secret = opt('secret');
+const port   = parseInt(opt('port'), 10) || 8787;
+let failLeft = parseInt(opt('fail'), 10) || 0;
+
+if (!secret) {
+  console.error('Usage: node scripts/webhook-receiver.js --secret <secret> [--port 8787] [--fail N]');
+  process.exit(2);
+}
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const stamp = new Date().toISOString();
+    if (failLeft > 0) {
+      failLeft--;
+      console.log(`${stamp} ✗ answered 500 on purpose (${failLeft} more)`);
+      return res.writeHead(500).end();
+    }
+    const ok = verifySignature(secret, req.headers[SIGNATURE_HEADER.toLowerCase()], body);
+    console.log(`${stamp} ${ok ? '✓' : '✗ bad signature'} ${req.headers['dryfreight-event'] || '?'} ${req.headers['dryfreight-delivery'] || ''}`);
+    if (ok) console.log(JSON.stringify(JSON.parse(body), null, 2));
+    res.writeHead(ok ? 204 : 401).end();
+  });
+});
+
+server.listen(port, () => console.log(`Listening for webhooks on http://localhost:${port}/`));